@@ -1,60 +1,416 @@
-import { useEffect, useMemo, useState } from "react";
+import { Suspense, lazy, useEffect, useMemo, useRef, useState } from "react";
 import {
-  LineChart,
+  ComposedChart,
   Line,
+  Area,
+  ReferenceArea,
+  ReferenceLine,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
+  Legend,
+  Brush,
   ResponsiveContainer,
 } from "recharts";
+import {
+  clearIndicatorCache,
+  getCacheStats,
+  isExpired,
+  isFresh,
+  readCachedIndicators,
+  writeCachedIndicators,
+} from "./lib/indicatorCache";
+import CorrelationScatter from "./components/CorrelationScatter";
+import ChartDataTable from "./components/ChartDataTable";
+import ChartNotes from "./components/ChartNotes";
+import CountryCombobox from "./components/CountryCombobox";
+import CountryMultiSelect from "./components/CountryMultiSelect";
+import CountryReport from "./components/CountryReport";
+import DatasetImport from "./components/DatasetImport";
+import IndicatorCatalog from "./components/IndicatorCatalog";
+import InsightsPanel from "./components/InsightsPanel";
+import RankingsTable from "./components/RankingsTable";
+import SavedViews from "./components/SavedViews";
+import SmallMultiples from "./components/SmallMultiples";
+import TrendStatsTable from "./components/TrendStatsTable";
+import { useAllCountriesSeries } from "./hooks/useAllCountriesSeries";
+import { useCountriesSeries } from "./hooks/useCountriesSeries";
+import { I18nContext } from "./hooks/useI18n";
+import { snapshotKey, useYearSnapshots } from "./hooks/useYearSnapshots";
+import { chartToSvgString, svgStringToPng } from "./lib/chartImage";
+import { toCsv } from "./lib/csv";
+import { downloadFile, makeSafeFilename } from "./lib/download";
+import {
+  buildExportMetadata,
+  longRecords,
+  metadataRows,
+  wideRows,
+} from "./lib/exportData";
+import { createWorkbook } from "./lib/xlsx";
+import { loadUserDatasets, saveUserDatasets } from "./lib/userDatasets";
+import {
+  addRecentCountry,
+  loadFavouriteCountries,
+  loadRecentCountries,
+  saveFavouriteCountries,
+  saveRecentCountries,
+} from "./lib/countryPicks";
+import {
+  createSavedView,
+  loadSavedViews,
+  saveSavedViews,
+  viewStateKey,
+  viewsToFile,
+} from "./lib/savedViews";
+import { createZip } from "./lib/zip";
+import {
+  createAnnotation,
+  loadAnnotations,
+  mergeAnnotations,
+  newAnnotations,
+  saveAnnotations,
+} from "./lib/annotations";
+import {
+  formatIndicatorChange,
+  formatIndicatorValue,
+  labelFromIndicatorName,
+} from "./lib/format";
+import {
+  LANGUAGES,
+  TranslatableError,
+  createI18n,
+  loadLanguage,
+  localeFor,
+  saveLanguage,
+} from "./lib/i18n";
+import { generateInsights } from "./lib/insights";
+import { summarizeChart } from "./lib/chartSummary";
+import { ordinal, rankValues, valuesForYear } from "./lib/rankings";
+import {
+  IMPUTED_LABELS,
+  MISSING_DATA_MODES,
+  coverage,
+  fillMissingYears,
+  gapRuns,
+} from "./lib/missingData";
+import { clipSeries, unionYears } from "./lib/series";
+import { linearTrend, loess, projectLinear, summarizeSeries } from "./lib/stats";
+import {
+  DEFLATOR_COUNTRY,
+  DEFLATOR_ID,
+  DOLLAR_MODES,
+  VALUE_TRANSFORMS,
+  deflate,
+  describeTransform,
+  firstSharedYear,
+  indexToBase,
+  percentChange,
+} from "./lib/transforms";
+import {
+  GLOBAL_CODE,
+  WORLD_CODE,
+  facetOptions,
+  filterCountries,
+  isAggregate,
+  toApiCode,
+} from "./lib/countries";
+import { dedupeRequest, isAbortError } from "./lib/request";
+import {
+  DEFAULT_VIEW,
+  VIEWS,
+  parseViewFromSearch,
+  viewToSearch,
+} from "./lib/urlState";
+import { getProvider } from "./providers";
+import {
+  DEFAULT_INDICATOR_KEY,
+  INDICATORS,
+  buildIndicatorMap,
+  customIndicatorFromMetadata,
+  loadCustomIndicators,
+  saveCustomIndicators,
+} from "./indicators";
+
+const dataProvider = getProvider();
+// Data exports keep English labels whatever the interface language
+const EXPORT_I18N = createI18n("en");
+
+function cacheKeyFor(countryCode) {
+  return `${dataProvider.id}:${countryCode}`;
+}
+
+// Fetch indicators for a country and merge them into the persistent cache.
+// `indicators` maps dashboard keys to indicator definitions; only those are
+// requested, and series already cached for other keys are kept.
+// Indicators load independently: a failed one is recorded in `errors` and
+// keeps its previously cached series, if any, instead of blanking the rest.
+// An entry that keeps earlier series keeps the earlier timestamp too, so its
+// "data as of" date stays true; series for indicators no longer requested
+// are dropped once they expire. Concurrent calls for the same country and
+// indicators share one set of requests.
+function getAllIndicatorsForCountry(countryCode, indicators, { signal } = {}) {
+  const cacheKey = cacheKeyFor(countryCode);
+  const keys = Object.keys(indicators);
+
+  return dedupeRequest(
+    `${cacheKey}|${keys.join(",")}`,
+    async (sharedSignal) => {
+      const results = await Promise.allSettled(
+        keys.map((key) =>
+          dataProvider.fetchSeries(countryCode, indicators[key].id, {
+            signal: sharedSignal,
+          })
+        )
+      );
+      sharedSignal.throwIfAborted();
+
+      const previous = readCachedIndicators(cacheKey);
+      const data = { ...previous?.data };
+      const errors = { ...previous?.errors };
+      let carriedOver = false;
+      for (const key of Object.keys(data)) {
+        if (key in indicators) continue;
+        if (isExpired(previous)) {
+          delete data[key];
+          delete errors[key];
+        } else {
+          carriedOver = true;
+        }
+      }
 
-const INDICATORS = {
-  LIFE_EXPECTANCY: {
-    id: "SP.DYN.LE00.IN",
-    label: "Life expectancy at birth",
-    unitLatest: "years",
-    chartValueFormatter: (v) => `${v.toFixed(1)} years`,
-  },
-  HEALTH_EXPENDITURE_PC: {
-    id: "SH.XPD.CHEX.PC.CD",
-    label: "Health expenditure per capita",
-    unitLatest: "US$",
-    chartValueFormatter: (v) => `$${Math.round(v).toLocaleString()}`,
-  },
-  INFANT_MORTALITY: {
-    id: "SP.DYN.IMRT.IN",
-    label: "Infant mortality rate",
-    unitLatest: "per 1,000",
-    chartValueFormatter: (v) => `${v.toFixed(1)} per 1,000`,
-  },
-  UNDER5_MORTALITY: {
-    id: "SH.DYN.MORT",
-    label: "Under-5 mortality rate",
-    unitLatest: "per 1,000",
-    chartValueFormatter: (v) => `${v.toFixed(1)} per 1,000`,
-  },
-};
-
-// Simple in-memory cache: Map(countryCode -> { data, cachedAt })
-const countryIndicatorsCache = new Map();
-const CACHE_TTL_MS = 1000 * 60 * 10; // 10 minutes
-
-function isFresh(entry) {
-  if (!entry) return false;
-  if (CACHE_TTL_MS == null) return true;
-  return Date.now() - entry.cachedAt < CACHE_TTL_MS;
+      results.forEach((result, i) => {
+        const key = keys[i];
+        if (result.status === "fulfilled") {
+          data[key] = result.value;
+          delete errors[key];
+          return;
+        }
+        console.error(result.reason);
+        if (previous?.data[key]) carriedOver = true;
+        data[key] = previous?.data[key] ?? [];
+        // Stored as { key, params } once persisted; errorMessage reads either
+        errors[key] = new TranslatableError("common.indicatorError", {
+          id: indicators[key].id,
+        });
+      });
+
+      if (results.every((r) => r.status === "rejected")) {
+        throw results[0].reason;
+      }
+
+      return writeCachedIndicators(cacheKey, data, errors, {
+        cachedAt: carriedOver ? previous.cachedAt : Date.now(),
+      });
+    },
+    signal
+  );
+}
+
+// Which indicators need loading given a cache entry: everything when it is
+// missing or stale, otherwise only keys it doesn't cover yet.
+function indicatorsToLoad(cached, indicators) {
+  if (!isFresh(cached)) return indicators;
+  return Object.fromEntries(
+    Object.entries(indicators).filter(([key]) => !(key in cached.data))
+  );
+}
+
+function formatBytes(bytes, formatNumber) {
+  const [value, unit] =
+    bytes < 1024
+      ? [bytes, "byte"]
+      : bytes < 1024 * 1024
+        ? [bytes / 1024, "kilobyte"]
+        : [bytes / (1024 * 1024), "megabyte"];
+  return formatNumber(value, {
+    style: "unit",
+    unit,
+    maximumFractionDigits: unit === "byte" ? 0 : 1,
+  });
+}
+
+// Longest chart note label; the full text is listed below the chart
+const NOTE_LABEL_LENGTH = 40;
+
+// Data key and line colour for the second indicator on the right-hand axis
+const SECONDARY_KEY = "secondary";
+const SECONDARY_COLOR = "#cbd5e1";
+
+// Line colours: primary first, then one per compared country. Each keeps
+// at least 3:1 contrast against the chart background.
+const SERIES_COLORS = [
+  "#818cf8",
+  "#22c55e",
+  "#f59e0b",
+  "#ec4899",
+  "#06b6d4",
+  "#f97316",
+  "#a855f7",
+  "#84cc16",
+  "#ef4444",
+  "#14b8a6",
+  "#eab308",
+];
+const MAX_COMPARE_COUNTRIES = SERIES_COLORS.length - 1;
+
+// The map pulls in world geometry, so load it only when its tab opens
+const WorldMap = lazy(() => import("./components/WorldMap"));
+
+// Trend overlays drawn over each series in the visible window; labels are
+// the "trend.<mode>" messages
+const TREND_MODES = ["none", "linear", "loess"];
+const PROJECTION_OPTIONS = [0, 5, 10];
+// Projections extrapolate recent history, not the whole record
+const PROJECTION_FIT_YEARS = 15;
+
+// Trend line points for one series
+function trendPoints(points, mode) {
+  if (mode === "loess") return loess(points);
+  if (mode === "linear") {
+    const fit = linearTrend(points);
+    if (!fit) return [];
+    return points.map((p) => ({ year: p.year, value: fit.predict(p.year) }));
+  }
+  return [];
+}
+
+// Chart formats for rescaled values
+const INDEX_FORMAT = { style: "number", decimals: 1, unit: "" };
+const CHANGE_FORMAT = { style: "percent", decimals: 1, unit: "" };
+
+// Line markers: hollow for filled-in years, solid for points with no
+// neighbours (which would otherwise be invisible in gaps mode) and for
+// imported datasets
+function seriesDot(s) {
+  return ({ cx, cy, payload }) => {
+    if (cx == null || cy == null || payload[s.key] == null) return null;
+    if (payload[`${s.key}__imputed`]) {
+      return (
+        <circle
+          cx={cx}
+          cy={cy}
+          r={3}
+          fill="#0f172a"
+          stroke={s.color}
+          strokeWidth={1.5}
+        />
+      );
+    }
+    if (s.imported || s.isolatedYears.has(payload.year)) {
+      return <circle cx={cx} cy={cy} r={2.5} fill={s.color} />;
+    }
+    return null;
+  };
+}
+
+// Annotations, marked `linked`, for the view `notes` missing from `list`
+function linkedNotesFor(list, notes) {
+  return newAnnotations(list, notes).map((n) => ({ ...n, linked: true }));
+}
+
+// Views with equal keys share a history entry: they differ only in years
+// or notes
+function historyKeyFor(view) {
+  return viewToSearch(
+    { ...view, startYear: null, endYear: null, notes: [] },
+    window.location.search
+  );
+}
+
+function readViewFromUrl(indicators) {
+  return parseViewFromSearch(window.location.search, {
+    metricKeys: Object.keys(indicators),
+  });
 }
 
 function App() {
-  const [selectedCountry, setSelectedCountry] = useState("GLOBAL");
+  // Interface language, persisted between sessions
+  const [language, setLanguage] = useState(loadLanguage);
+  const i18n = useMemo(() => createI18n(language), [language]);
+  const { t } = i18n;
+  // Catalog indicator names in the interface language: { "fr:ID": label }
+  const [translatedLabels, setTranslatedLabels] = useState({});
+
+  // Indicators added from the catalog, persisted between sessions
+  const [customIndicators, setCustomIndicators] = useState(loadCustomIndicators);
+  // Catalog ids whose English metadata is still loading
+  const [addingIndicatorIds, setAddingIndicatorIds] = useState([]);
+  const customLabels = useMemo(
+    () =>
+      Object.fromEntries(
+        customIndicators
+          .filter((c) => `${language}:${c.id}` in translatedLabels)
+          .map((c) => [c.id, translatedLabels[`${language}:${c.id}`]])
+      ),
+    [customIndicators, language, translatedLabels]
+  );
+  const indicators = useMemo(
+    () => buildIndicatorMap(customIndicators, { i18n, customLabels }),
+    [customIndicators, customLabels, i18n]
+  );
+  const exportIndicators = useMemo(
+    () => buildIndicatorMap(customIndicators, { i18n: EXPORT_I18N }),
+    [customIndicators]
+  );
+  const [catalogOpen, setCatalogOpen] = useState(false);
+  // Datasets imported from the user's files, persisted between sessions
+  const [userDatasets, setUserDatasets] = useState(loadUserDatasets);
+  const [importOpen, setImportOpen] = useState(false);
+  const [datasetsSaveFailed, setDatasetsSaveFailed] = useState(false);
+  // Named views, persisted between sessions
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  const [viewsSaveFailed, setViewsSaveFailed] = useState(false);
+  // Pinned and recently viewed countries for the country pickers
+  const [favouriteCountries, setFavouriteCountries] = useState(
+    loadFavouriteCountries
+  );
+  const [recentCountries, setRecentCountries] = useState(loadRecentCountries);
+
+  // Initial state comes from the URL so shared links open the same view
+  const [initialView] = useState(() =>
+    readViewFromUrl(buildIndicatorMap(loadCustomIndicators()))
+  );
+  // Chart notes, persisted between sessions
+  const [annotations, setAnnotations] = useState(loadAnnotations);
+  // Notes from the opened link or an applied view that the user doesn't have:
+  // shown with that view, and only saved if the user keeps them
+  const [linkedNotes, setLinkedNotes] = useState(() =>
+    linkedNotesFor(annotations, initialView.notes)
+  );
+  const shownAnnotations = useMemo(
+    () => (linkedNotes.length ? [...annotations, ...linkedNotes] : annotations),
+    [annotations, linkedNotes]
+  );
+  const [annotationsSaveFailed, setAnnotationsSaveFailed] = useState(false);
+
+  const [selectedCountry, setSelectedCountry] = useState(initialView.country);
 
   // Compare mode
-  const [compareEnabled, setCompareEnabled] = useState(false);
-  const [compareCountry, setCompareCountry] = useState("USA");
+  const [compareEnabled, setCompareEnabled] = useState(
+    initialView.compareEnabled
+  );
+  const [compareCountries, setCompareCountries] = useState(
+    initialView.compareCountries
+  );
+
+  // Optional year window: { startYear, endYear } (null = open-ended)
+  const [yearRange, setYearRange] = useState({
+    startYear: initialView.startYear,
+    endYear: initialView.endYear,
+  });
 
-  // Country list state
+  // Country list state: real countries, plus World Bank aggregates
+  // (regions, income groups) that can also be selected
   const [countries, setCountries] = useState([]);
+  // Map(code -> English name), for exports from other languages
+  const [englishCountryNames, setEnglishCountryNames] = useState(null);
+  const [aggregates, setAggregates] = useState([]);
+  // Narrow the country selectors: { region, incomeLevel } ids, "" = any
+  const [countryFilter, setCountryFilter] = useState({
+    region: "",
+    incomeLevel: "",
+  });
   const [countriesLoading, setCountriesLoading] = useState(true);
   const [countriesError, setCountriesError] = useState(null);
 
@@ -64,192 +420,411 @@ function App() {
 
   // Primary country indicators: { KEY: [{year, value}, ...] }
   const [seriesByIndicator, setSeriesByIndicator] = useState({});
-  // Compare country indicators
-  const [compareSeriesByIndicator, setCompareSeriesByIndicator] = useState({});
+  // Per-indicator load failures: { KEY: message }
+  const [seriesErrors, setSeriesErrors] = useState({});
+  // Compare countries: { CODE: { data, errors, cachedAt } }
+  const [compareEntries, setCompareEntries] = useState({});
+  // Compare countries that could not be loaded at all: { CODE: error }
+  const [compareFailures, setCompareFailures] = useState({});
+  const [compareLoading, setCompareLoading] = useState(false);
+  // World data for the insights' comparisons: { data, errors, cachedAt }
+  const [worldEntry, setWorldEntry] = useState(null);
+  const [worldLoading, setWorldLoading] = useState(false);
+
+  // Series toggled off in the chart legend
+  const [hiddenSeries, setHiddenSeries] = useState(() => new Set());
+  // Show the chart's data as a table instead of the chart
+  const [chartAsTable, setChartAsTable] = useState(false);
+  // Show the printable country report instead of the dashboard
+  const [reportOpen, setReportOpen] = useState(false);
+  // Chart overlays: trend line mode and projection length in years (0 = off)
+  const [trendMode, setTrendMode] = useState("none");
+  // How unreported years are drawn: gaps, interpolation or carried forward
+  const [missingDataMode, setMissingDataMode] = useState("gaps");
+  const [projectionYears, setProjectionYears] = useState(0);
+  // Value transforms: rescaling (values, index or % change), the index base
+  // year (null = first year all series share), log axis and, for US$
+  // metrics, nominal, constant or PPP dollars
+  const [valueTransform, setValueTransform] = useState("values");
+  const [baseYear, setBaseYear] = useState(null);
+  const [logScale, setLogScale] = useState(false);
+  const [dollarMode, setDollarMode] = useState("nominal");
+  // A second indicator for the primary country on a right-hand axis
+  const [secondaryKey, setSecondaryKey] = useState(null);
+
+  // When the displayed data was retrieved (ms timestamps)
+  const [primaryAsOf, setPrimaryAsOf] = useState(null);
+  // True while stale cached data is on screen and a refresh is in flight
+  const [refreshing, setRefreshing] = useState(false);
+  const [cacheStats, setCacheStats] = useState(() => getCacheStats());
+  const [linkCopied, setLinkCopied] = useState(false);
+  // The last URL sync's search string without years and notes; see below
+  const lastHistoryKeyRef = useRef(null);
+  const chartRef = useRef(null);
+  const exportMenuRef = useRef(null);
 
   // Which indicator the chart is currently showing
-  const [selectedChartKey, setSelectedChartKey] = useState("LIFE_EXPECTANCY");
+  const [selectedChartKey, setSelectedChartKey] = useState(initialView.metric);
+  // Which tab is shown below the metric cards
+  const [activeView, setActiveView] = useState(initialView.view);
+
+  // Keep the page language in step for screen readers and hyphenation
+  useEffect(() => {
+    document.documentElement.lang = language;
+    saveLanguage(language);
+  }, [language]);
+
+  useEffect(() => {
+    saveCustomIndicators(customIndicators);
+  }, [customIndicators]);
+
+  // Catalog indicators are stored with English names; fetch the others'
+  // names in the interface language where the provider has them
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function run() {
+      if (language === "en" || !dataProvider.languages.includes(language)) {
+        return;
+      }
+      const missing = customIndicators.filter(
+        (c) => !(`${language}:${c.id}` in translatedLabels)
+      );
+      if (missing.length === 0) return;
+
+      const results = await Promise.allSettled(
+        missing.map((c) =>
+          dataProvider.fetchIndicatorMetadata(c.id, {
+            signal: controller.signal,
+            language,
+          })
+        )
+      );
+      if (controller.signal.aborted) return;
+
+      // Failures keep the English name rather than retrying on every render
+      const labels = {};
+      results.forEach((result, i) => {
+        const { id, label } = missing[i];
+        labels[`${language}:${id}`] =
+          result.status === "fulfilled"
+            ? labelFromIndicatorName(result.value.name) || label
+            : label;
+        if (result.status === "rejected") console.error(result.reason);
+      });
+      setTranslatedLabels((prev) => ({ ...prev, ...labels }));
+    }
+
+    run();
+    return () => controller.abort();
+  }, [customIndicators, language, translatedLabels]);
+
+  // English country names for data exports, when the interface shows them in
+  // another language. Missing names fall back to the country code.
+  useEffect(() => {
+    if (language === "en" || englishCountryNames) return;
+    if (!dataProvider.languages.includes(language)) return;
+    const controller = new AbortController();
+
+    async function run() {
+      try {
+        const list = await dataProvider.listCountries({
+          signal: controller.signal,
+          language: "en",
+        });
+        setEnglishCountryNames(new Map(list.map((c) => [c.id, c.name])));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+      }
+    }
+
+    run();
+    return () => controller.abort();
+  }, [englishCountryNames, language]);
 
-  // Fetch list of countries once
+  // Fetch the list of countries, again when the language changes
   useEffect(() => {
+    const controller = new AbortController();
+
     async function fetchCountries() {
       setCountriesLoading(true);
       setCountriesError(null);
       try {
-        const url =
-          "https://api.worldbank.org/v2/country?format=json&per_page=400";
-        const res = await fetch(url);
-        if (!res.ok) throw new Error(`Countries request failed: ${res.status}`);
-
-        const data = await res.json();
-        const list = data[1] || [];
-
-        const filtered = list.filter(
-          (c) => c.region && c.region.id !== "NA" && c.name && c.id
+        const list = await dataProvider.listCountries({
+          signal: controller.signal,
+          language,
+        });
+
+        const valid = list.filter((c) => c.region && c.name && c.id);
+        valid.sort((a, b) => a.name.localeCompare(b.name, localeFor(language)));
+        setCountries(valid.filter((c) => !isAggregate(c)));
+        setAggregates(valid.filter(isAggregate));
+
+        // Drop codes from the URL that don't match a known country
+        const known = new Set(valid.map((c) => c.id));
+        setSelectedCountry((prev) =>
+          prev === GLOBAL_CODE || known.has(prev) ? prev : DEFAULT_VIEW.country
         );
-        filtered.sort((a, b) => a.name.localeCompare(b.name));
-        setCountries(filtered);
+        setCompareCountries((prev) => {
+          const valid = prev.filter((c) => known.has(c));
+          if (valid.length === prev.length) return prev;
+          return valid.length ? valid : DEFAULT_VIEW.compareCountries;
+        });
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error(err);
-        setCountriesError("Could not load countries list.");
+        setCountriesError(new TranslatableError("filters.countriesListError"));
       } finally {
-        setCountriesLoading(false);
+        if (!controller.signal.aborted) setCountriesLoading(false);
       }
     }
 
     fetchCountries();
-  }, []);
-
-  // CSV helpers
-  function escapeCsv(value) {
-    const s = String(value ?? "");
-    if (s.includes(",") || s.includes('"') || s.includes("\n")) {
-      return `"${s.replaceAll('"', '""')}"`;
+    return () => controller.abort();
+  }, [language]);
+
+  // Notes on the view's countries, for shared links and saved views
+  const viewNotes = useMemo(() => {
+    const codes = new Set([
+      toApiCode(selectedCountry),
+      ...(compareEnabled ? compareCountries : []),
+    ]);
+    return shownAnnotations
+      .filter((a) => codes.has(a.country))
+      .map(({ country, metric, year, text }) => ({
+        country,
+        metric,
+        year,
+        text,
+      }));
+  }, [compareCountries, compareEnabled, selectedCountry, shownAnnotations]);
+
+  // Mirror the dashboard state into the URL; each change is a history entry
+  useEffect(() => {
+    const view = {
+      country: selectedCountry,
+      compareEnabled,
+      compareCountries,
+      metric: selectedChartKey,
+      ...yearRange,
+      view: activeView,
+      notes: viewNotes,
+    };
+    const search = viewToSearch(view, window.location.search);
+    const historyKey = historyKeyFor(view);
+
+    const previousKey = lastHistoryKeyRef.current;
+    lastHistoryKeyRef.current = historyKey;
+    if (search === window.location.search) return;
+
+    // Normalising the URL we were opened with shouldn't add a history entry,
+    // and neither should each tick of dragging the year brush or adding a
+    // note: notes aren't restored on back/forward, so they only update the
+    // current entry
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (previousKey === null || previousKey === historyKey) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
     }
-    return s;
-  }
-
-  function downloadTextFile(filename, text) {
-    const blob = new Blob([text], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-
-    URL.revokeObjectURL(url);
-  }
-
-  function makeSafeFilename(s) {
-    return String(s)
-      .trim()
-      .replaceAll(" ", "_")
-      .replaceAll("/", "-")
-      .replace(/[^a-zA-Z0-9._-]/g, "");
-  }
-
-  // Helper: fetch a single indicator series
-  async function fetchIndicatorSeries(countryCode, indicatorId) {
-    const url = `https://api.worldbank.org/v2/country/${countryCode}/indicator/${indicatorId}?format=json&per_page=80`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Indicator ${indicatorId} failed: ${res.status}`);
-
-    const data = await res.json();
-    const raw = data[1] || [];
-
-    return raw
-      .filter((entry) => entry.value !== null)
-      .map((entry) => ({
-        year: Number(entry.date),
-        value: Number(entry.value),
-      }))
-      .sort((a, b) => a.year - b.year);
-  }
-
-  // Fetch all indicators for a country (with caching)
-  async function getAllIndicatorsForCountry(countryCode) {
-    const cached = countryIndicatorsCache.get(countryCode);
-    if (isFresh(cached)) return cached.data;
+  }, [
+    activeView,
+    compareCountries,
+    compareEnabled,
+    selectedChartKey,
+    selectedCountry,
+    viewNotes,
+    yearRange,
+  ]);
 
-    const keys = Object.keys(INDICATORS);
-    const results = await Promise.all(
-      keys.map(async (key) => {
-        const indicatorId = INDICATORS[key].id;
-        const series = await fetchIndicatorSeries(countryCode, indicatorId);
-        return [key, series];
-      })
-    );
+  // Restore state on browser back/forward
+  useEffect(() => {
+    function handlePopState() {
+      const view = readViewFromUrl(indicators);
+      // The restored state matches this entry, so syncing it (with the
+      // current notes) replaces the entry instead of pushing a new one
+      lastHistoryKeyRef.current = historyKeyFor(view);
+      setSelectedCountry(view.country);
+      setCompareEnabled(view.compareEnabled);
+      setCompareCountries(view.compareCountries);
+      setSelectedChartKey(view.metric);
+      setYearRange({ startYear: view.startYear, endYear: view.endYear });
+      setActiveView(view.view);
+    }
 
-    const data = Object.fromEntries(results);
-    countryIndicatorsCache.set(countryCode, { data, cachedAt: Date.now() });
-    return data;
-  }
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [indicators]);
 
   // Load primary indicators when selectedCountry changes
   useEffect(() => {
-    let cancelled = false;
+    const controller = new AbortController();
 
     async function run() {
       setError(null);
 
-      const code = selectedCountry === "GLOBAL" ? "WLD" : selectedCountry;
+      const code = toApiCode(selectedCountry);
 
-      const cached = countryIndicatorsCache.get(code);
-      if (isFresh(cached)) {
+      // Serve whatever is cached immediately, even if stale
+      const cached = readCachedIndicators(cacheKeyFor(code));
+      if (cached) {
         setSeriesByIndicator(cached.data);
+        setSeriesErrors(cached.errors);
+        setPrimaryAsOf(cached.cachedAt);
+      }
+
+      // An aborted run leaves its flags set, so clear them here too
+      const toLoad = indicatorsToLoad(cached, indicators);
+      if (Object.keys(toLoad).length === 0) {
+        setLoading(false);
+        setRefreshing(false);
         return;
       }
+      if (cached) setRefreshing(true);
+      else setLoading(true);
 
-      setLoading(true);
       try {
-        const data = await getAllIndicatorsForCountry(code);
-        if (!cancelled) setSeriesByIndicator(data);
+        const entry = await getAllIndicatorsForCountry(code, toLoad, {
+          signal: controller.signal,
+        });
+        setCacheStats(getCacheStats());
+        setSeriesByIndicator(entry.data);
+        setSeriesErrors(entry.errors);
+        setPrimaryAsOf(entry.cachedAt);
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error(err);
-        if (!cancelled) {
-          setError("Could not load health indicators. Please try again.");
+        // A failed background refresh keeps the stale data on screen
+        if (!cached) {
+          setError(new TranslatableError("metrics.loadError"));
           setSeriesByIndicator({});
+          setSeriesErrors({});
+          setPrimaryAsOf(null);
         }
       } finally {
-        if (!cancelled) setLoading(false);
+        if (!controller.signal.aborted) {
+          setLoading(false);
+          setRefreshing(false);
+        }
       }
     }
 
     run();
-    return () => {
-      cancelled = true;
-    };
-  }, [selectedCountry]);
+    // Changing country cancels requests that are still in flight
+    return () => controller.abort();
+  }, [indicators, selectedCountry]);
 
-  // Load compare indicators when compareEnabled/compareCountry changes
+  // Load compare indicators when compareEnabled/compareCountries changes
   useEffect(() => {
-    let cancelled = false;
+    const controller = new AbortController();
 
     async function run() {
       if (!compareEnabled) {
-        setCompareSeriesByIndicator({});
+        setCompareEntries({});
+        setCompareFailures({});
+        setCompareLoading(false);
         return;
       }
 
-      setError(null);
+      const codes = compareCountries.map(toApiCode);
 
-      const code = compareCountry === "GLOBAL" ? "USA" : compareCountry;
+      // Show everything cached right away; only stale or missing entries load
+      const entries = {};
+      const toLoad = [];
+      for (const code of codes) {
+        const cached = readCachedIndicators(cacheKeyFor(code));
+        if (cached) entries[code] = cached;
+        const missing = indicatorsToLoad(cached, indicators);
+        if (Object.keys(missing).length) toLoad.push([code, missing]);
+      }
+      setCompareEntries(entries);
+      setCompareFailures({});
+      if (toLoad.length === 0) {
+        setCompareLoading(false);
+        return;
+      }
 
-      const cached = countryIndicatorsCache.get(code);
-      if (isFresh(cached)) {
-        setCompareSeriesByIndicator(cached.data);
+      setCompareLoading(true);
+      await Promise.all(
+        toLoad.map(async ([code, missing]) => {
+          try {
+            const entry = await getAllIndicatorsForCountry(code, missing, {
+              signal: controller.signal,
+            });
+            setCompareEntries((prev) => ({ ...prev, [code]: entry }));
+          } catch (err) {
+            if (isAbortError(err)) return;
+            console.error(err);
+            if (!entries[code]) {
+              setCompareFailures((prev) => ({
+                ...prev,
+                [code]: new TranslatableError("metrics.compareError"),
+              }));
+            }
+          }
+        })
+      );
+
+      if (!controller.signal.aborted) {
+        setCacheStats(getCacheStats());
+        setCompareLoading(false);
+      }
+    }
+
+    run();
+    return () => controller.abort();
+  }, [compareEnabled, compareCountries, indicators]);
+
+  // Load world indicators for the insights, unless the world is the primary
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function run() {
+      if (toApiCode(selectedCountry) === WORLD_CODE) {
+        setWorldLoading(false);
         return;
       }
 
-      setLoading(true);
+      const cached = readCachedIndicators(cacheKeyFor(WORLD_CODE));
+      setWorldEntry(cached);
+      const toLoad = indicatorsToLoad(cached, indicators);
+      if (Object.keys(toLoad).length === 0) {
+        setWorldLoading(false);
+        return;
+      }
+
+      setWorldLoading(true);
       try {
-        const data = await getAllIndicatorsForCountry(code);
-        if (!cancelled) setCompareSeriesByIndicator(data);
+        const entry = await getAllIndicatorsForCountry(WORLD_CODE, toLoad, {
+          signal: controller.signal,
+        });
+        setWorldEntry(entry);
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error(err);
-        if (!cancelled) {
-          setError("Could not load comparison indicators. Please try again.");
-          setCompareSeriesByIndicator({});
-        }
       } finally {
-        if (!cancelled) setLoading(false);
+        if (!controller.signal.aborted) setWorldLoading(false);
       }
     }
 
     run();
-    return () => {
-      cancelled = true;
-    };
-  }, [compareEnabled, compareCountry]);
+    return () => controller.abort();
+  }, [indicators, selectedCountry]);
 
   // Latest cards for primary country
   const latestCards = useMemo(() => {
-    return Object.keys(INDICATORS).map((key) => {
-      const meta = INDICATORS[key];
-      const series = seriesByIndicator[key] || [];
+    // Coverage is measured over the selected range, or else the span of all
+    // of the country's loaded indicators
+    const allYears = unionYears(Object.values(seriesByIndicator));
+    const span = {
+      from: yearRange.startYear ?? allYears[0],
+      to: yearRange.endYear ?? allYears[allYears.length - 1],
+    };
+
+    return Object.keys(indicators).map((key) => {
+      const meta = indicators[key];
+      const series = clipSeries(seriesByIndicator[key] || [], yearRange);
       const latest = series.length ? series[series.length - 1] : null;
       const first = series.length ? series[0] : null;
 
@@ -263,393 +838,2410 @@ function App() {
         startYear: first?.year ?? null,
         change,
         unit: meta.unitLatest,
+        error: seriesErrors[key] ?? null,
+        coverage: coverage(seriesByIndicator[key] || [], span),
+        coverageSpan: span,
       };
     });
-  }, [seriesByIndicator]);
+  }, [indicators, seriesByIndicator, seriesErrors, yearRange]);
 
   // Country names
   const primaryCountryName = useMemo(() => {
-    if (selectedCountry === "GLOBAL") return "World";
-    const found = countries.find((c) => c.id === selectedCountry);
+    if (selectedCountry === GLOBAL_CODE) return t("country.world");
+    const found = [...countries, ...aggregates].find(
+      (c) => c.id === selectedCountry
+    );
     return found?.name ?? selectedCountry;
-  }, [countries, selectedCountry]);
+  }, [aggregates, countries, selectedCountry, t]);
 
-  const compareCountryName = useMemo(() => {
-    const found = countries.find((c) => c.id === compareCountry);
-    return found?.name ?? compareCountry;
-  }, [countries, compareCountry]);
+  const countryNameFor = useMemo(() => {
+    const names = new Map(
+      [...countries, ...aggregates].map((c) => [c.id, c.name])
+    );
+    return (code) => names.get(code) ?? code;
+  }, [aggregates, countries]);
+
+  // Names already come in English for languages the provider doesn't offer
+  const exportCountryName = (code) =>
+    language === "en" || !dataProvider.languages.includes(language)
+      ? countryNameFor(code)
+      : (englishCountryNames?.get(code) ?? code);
+  const exportSeriesName = (s) =>
+    s.imported ? s.name : exportCountryName(s.key);
+
+  const selectableCodes = useMemo(
+    () => new Set([...countries, ...aggregates].map((c) => c.id)),
+    [aggregates, countries]
+  );
 
-  const chartMeta = INDICATORS[selectedChartKey];
+  const regionOptions = useMemo(
+    () => facetOptions(countries, "region"),
+    [countries]
+  );
+  const incomeOptions = useMemo(
+    () => facetOptions(countries, "incomeLevel"),
+    [countries]
+  );
+  const filteredCountries = useMemo(
+    () => filterCountries(countries, countryFilter),
+    [countries, countryFilter]
+  );
+  // The World aggregate is already offered as "Global (World)"
+  const primaryAggregates = useMemo(
+    () => aggregates.filter((a) => a.id !== WORLD_CODE),
+    [aggregates]
+  );
+  const globalOption = useMemo(
+    () => [{ id: GLOBAL_CODE, name: t("filters.global") }],
+    [t]
+  );
 
-  // Merge data for compare chart
-  const mergedChartData = useMemo(() => {
-    const a = seriesByIndicator[selectedChartKey] || [];
-    const byYearA = new Map(a.map((p) => [p.year, p.value]));
+  const chartMeta = indicators[selectedChartKey] ?? INDICATORS[DEFAULT_INDICATOR_KEY];
 
-    if (!compareEnabled) {
-      return a.map((p) => ({ year: p.year, a: p.value }));
+  // Every country's values for the chart metric, loaded only for the views
+  // that show all countries at once
+  const allCountriesData = useAllCountriesSeries(
+    dataProvider,
+    activeView === "map" || activeView === "rankings" ? chartMeta.id : null
+  );
+
+  // Where the primary country places among all countries on each card,
+  // ranked in the card's latest year. Aggregates aren't ranked.
+  const primaryIsCountry =
+    selectedCountry !== GLOBAL_CODE &&
+    countries.some((c) => c.id === selectedCountry);
+  const snapshots = useYearSnapshots(
+    dataProvider,
+    primaryIsCountry
+      ? latestCards.map((c) => ({
+          indicatorId: indicators[c.key].id,
+          year: c.latestYear,
+        }))
+      : []
+  );
+  const cardRanks = useMemo(() => {
+    const ranks = {};
+    if (!primaryIsCountry) return ranks;
+    const codes = countries.map((c) => c.id);
+    for (const card of latestCards) {
+      const meta = indicators[card.key];
+      const snapshot = snapshots[snapshotKey(meta.id, card.latestYear)];
+      if (!snapshot) continue;
+      const ranked = rankValues(
+        valuesForYear(snapshot, card.latestYear, codes),
+        { higherIsBetter: meta.higherIsBetter }
+      );
+      const own = ranked.find((r) => r.code === selectedCountry);
+      if (own) ranks[card.key] = own;
     }
+    return ranks;
+  }, [
+    countries,
+    indicators,
+    latestCards,
+    primaryIsCountry,
+    selectedCountry,
+    snapshots,
+  ]);
 
-    const b = compareSeriesByIndicator[selectedChartKey] || [];
-    const byYearB = new Map(b.map((p) => [p.year, p.value]));
+  // Dollar conversions apply to current-US$ metrics only, and PPP to those
+  // with a PPP variant. Log axes can't show % changes, which go negative.
+  const isCurrencyMetric = chartMeta.format.style === "currency";
+  const activeDollarMode =
+    !isCurrencyMetric || (dollarMode === "ppp" && !chartMeta.pppId)
+      ? "nominal"
+      : dollarMode;
+  const activeLogScale = logScale && valueTransform !== "change";
+
+  const primaryCode = toApiCode(selectedCountry);
+  const chartCountryCodes = [
+    primaryCode,
+    ...(compareEnabled ? compareCountries.filter((c) => c !== primaryCode) : []),
+  ];
+  const pppData = useCountriesSeries(
+    dataProvider,
+    activeDollarMode === "ppp" ? chartMeta.pppId : null,
+    chartCountryCodes
+  );
+  const deflatorData = useCountriesSeries(
+    dataProvider,
+    activeDollarMode === "constant" ? DEFLATOR_ID : null,
+    [DEFLATOR_COUNTRY]
+  );
+  const deflator = deflatorData.seriesByCountry[DEFLATOR_COUNTRY];
+  const deflatorBaseYear =
+    activeDollarMode === "constant" && deflator?.length
+      ? deflator[deflator.length - 1].year
+      : null;
+
+  // One entry per plotted line: the primary country, then each compared one.
+  // `points` are as reported; `values` are in the selected dollars.
+  const plottedSeries = useMemo(() => {
+    const list = [
+      {
+        key: primaryCode,
+        name: primaryCountryName,
+        points: seriesByIndicator[selectedChartKey] || [],
+        error: seriesErrors[selectedChartKey] ?? null,
+      },
+    ];
 
-    const years = Array.from(
-      new Set([...byYearA.keys(), ...byYearB.keys()])
-    ).sort((x, y) => x - y);
+    if (compareEnabled) {
+      for (const code of compareCountries) {
+        if (code === primaryCode) continue;
+        const entry = compareEntries[code];
+        list.push({
+          key: code,
+          name: countryNameFor(code),
+          points: entry?.data[selectedChartKey] || [],
+          error: compareFailures[code] ?? entry?.errors[selectedChartKey] ?? null,
+        });
+      }
+    }
 
-    return years.map((year) => ({
-      year,
-      a: byYearA.get(year) ?? null,
-      b: byYearB.get(year) ?? null,
-    }));
+    // Imported datasets attached to this metric
+    for (const dataset of userDatasets) {
+      if (dataset.indicatorKey !== selectedChartKey || !dataset.visible) continue;
+      list.push({
+        key: `user-${dataset.id}`,
+        name: dataset.name,
+        points: dataset.points,
+        error: null,
+        imported: true,
+        indicatorKey: dataset.indicatorKey,
+        fileName: dataset.fileName,
+      });
+    }
+
+    // Imported datasets are plotted in whatever units they came in
+    return list.map((s) => {
+      if (s.imported || activeDollarMode === "nominal") {
+        return { ...s, values: s.points };
+      }
+      if (activeDollarMode === "ppp") {
+        return { ...s, values: pppData.seriesByCountry[s.key] || [] };
+      }
+      return { ...s, values: deflate(s.points, deflator || []).points };
+    });
   }, [
+    activeDollarMode,
+    compareCountries,
     compareEnabled,
-    compareSeriesByIndicator,
+    compareEntries,
+    compareFailures,
+    countryNameFor,
+    deflator,
+    pppData.seriesByCountry,
+    primaryCode,
+    primaryCountryName,
     selectedChartKey,
     seriesByIndicator,
+    seriesErrors,
+    userDatasets,
   ]);
 
-  const latestForMetric = useMemo(() => {
-    const aSeries = seriesByIndicator[selectedChartKey] || [];
-    const bSeries = compareSeriesByIndicator[selectedChartKey] || [];
+  // Index base: the chosen year, else the first year every series reports
+  // in the window (null when they share none: each uses its own first year)
+  const indexBaseYear = useMemo(() => {
+    if (valueTransform !== "index") return null;
+    return (
+      baseYear ??
+      firstSharedYear(plottedSeries.map((s) => clipSeries(s.values, yearRange)))
+    );
+  }, [baseYear, plottedSeries, valueTransform, yearRange]);
+
+  const transformSettings = {
+    dollarMode: activeDollarMode,
+    deflatorBaseYear,
+    transform: valueTransform,
+    baseYear: indexBaseYear,
+  };
+  const transformParts = describeTransform(transformSettings, t);
+  // The metric as plotted, for the caption and image title
+  const chartValueLabel = transformParts.length
+    ? `${chartMeta.label}, ${transformParts.join(", ")}`
+    : chartMeta.label;
+  // The same in English, for data export headers and metadata
+  const exportTransform =
+    describeTransform(transformSettings, EXPORT_I18N.t).join(", ") || null;
+  const exportChartMeta = exportIndicators[selectedChartKey] ?? chartMeta;
+  const exportValueLabel = exportTransform
+    ? `${exportChartMeta.label}, ${exportTransform}`
+    : exportChartMeta.label;
+
+  // Formatting for plotted values, which may be rescaled
+  const chartDisplayMeta = useMemo(() => {
+    const format =
+      valueTransform === "index"
+        ? INDEX_FORMAT
+        : valueTransform === "change"
+          ? CHANGE_FORMAT
+          : chartMeta.format;
+    return {
+      ...chartMeta,
+      format,
+      chartValueFormatter: (v) => formatIndicatorValue(format, v, i18n.locale),
+    };
+  }, [chartMeta, i18n, valueTransform]);
+
+  const chartSeries = useMemo(() => {
+    return plottedSeries.map((s, i) => {
+      let values = s.values;
+      if (valueTransform === "index") {
+        values = indexToBase(
+          values,
+          indexBaseYear ?? clipSeries(values, yearRange)[0]?.year
+        );
+      } else if (valueTransform === "change") {
+        values = percentChange(values);
+      }
+      if (activeLogScale) values = values.filter((p) => p.value > 0);
+
+      const visiblePoints = clipSeries(values, yearRange);
+      // What the line draws: plotted points plus any filled-in years
+      const displayPoints = fillMissingYears(values, missingDataMode);
+      const years = new Set(displayPoints.map((p) => p.year));
+      return {
+        ...s,
+        values,
+        visiblePoints,
+        displayPoints,
+        gaps: gapRuns(visiblePoints),
+        isolatedYears: new Set(
+          displayPoints
+            .filter((p) => !years.has(p.year - 1) && !years.has(p.year + 1))
+            .map((p) => p.year)
+        ),
+        color: SERIES_COLORS[i % SERIES_COLORS.length],
+        latest: visiblePoints.length
+          ? visiblePoints[visiblePoints.length - 1]
+          : null,
+        stats: summarizeSeries(visiblePoints, {
+          higherIsBetter: chartMeta.higherIsBetter,
+        }),
+        trend: trendPoints(visiblePoints, trendMode),
+        projection: projectionYears
+          ? projectLinear(visiblePoints, {
+              horizon: projectionYears,
+              fitYears: PROJECTION_FIT_YEARS,
+            })
+          : [],
+      };
+    });
+  }, [
+    activeLogScale,
+    chartMeta,
+    indexBaseYear,
+    missingDataMode,
+    plottedSeries,
+    projectionYears,
+    trendMode,
+    valueTransform,
+    yearRange,
+  ]);
+
+  // The second indicator, for the primary country as reported: value
+  // transforms and dollar conversions apply to the left axis only
+  const secondaryMeta =
+    secondaryKey && secondaryKey !== selectedChartKey
+      ? (indicators[secondaryKey] ?? null)
+      : null;
+  const secondarySeries = useMemo(() => {
+    if (!secondaryMeta) return null;
+    const values = seriesByIndicator[secondaryKey] || [];
+    const displayPoints = fillMissingYears(values, missingDataMode);
+    const years = new Set(displayPoints.map((p) => p.year));
+    return {
+      key: SECONDARY_KEY,
+      name: `${secondaryMeta.label} (${primaryCountryName})`,
+      points: values,
+      values,
+      visiblePoints: clipSeries(values, yearRange),
+      displayPoints,
+      isolatedYears: new Set(
+        displayPoints
+          .filter((p) => !years.has(p.year - 1) && !years.has(p.year + 1))
+          .map((p) => p.year)
+      ),
+      projection: [],
+      color: SECONDARY_COLOR,
+      formatValue: secondaryMeta.chartValueFormatter,
+    };
+  }, [
+    missingDataMode,
+    primaryCountryName,
+    secondaryKey,
+    secondaryMeta,
+    seriesByIndicator,
+    yearRange,
+  ]);
 
-    const aLatest = aSeries.length ? aSeries[aSeries.length - 1] : null;
-    const bLatest = bSeries.length ? bSeries[bSeries.length - 1] : null;
+  const hasChartData = chartSeries.some((s) => s.points.length > 0);
 
-    return { a: aLatest, b: bLatest };
-  }, [compareSeriesByIndicator, selectedChartKey, seriesByIndicator]);
+  // Notes on this metric for the plotted countries, in year order
+  const chartNotes = useMemo(() => {
+    const seriesByCode = new Map(
+      chartSeries.filter((s) => !s.imported).map((s) => [s.key, s])
+    );
+    return shownAnnotations
+      .filter(
+        (a) => a.metric === selectedChartKey && seriesByCode.has(a.country)
+      )
+      .map((a) => ({
+        ...a,
+        countryName: seriesByCode.get(a.country).name,
+        color: seriesByCode.get(a.country).color,
+      }))
+      .sort((a, b) => a.year - b.year);
+  }, [chartSeries, selectedChartKey, shownAnnotations]);
+
+  // One labelled line per annotated year, for the countries shown
+  const noteLines = useMemo(() => {
+    const byYear = new Map();
+    for (const note of chartNotes) {
+      if (hiddenSeries.has(note.country)) continue;
+      if (!byYear.has(note.year)) {
+        byYear.set(note.year, {
+          year: note.year,
+          color: note.color,
+          texts: [],
+        });
+      }
+      byYear.get(note.year).texts.push(note.text);
+    }
+    return Array.from(byYear.values(), ({ texts, ...line }) => {
+      const label = texts.join(" · ");
+      return {
+        ...line,
+        label:
+          label.length > NOTE_LABEL_LENGTH
+            ? `${label.slice(0, NOTE_LABEL_LENGTH - 1)}…`
+            : label,
+      };
+    });
+  }, [chartNotes, hiddenSeries]);
+
+  // Text alternative to the chart for screen readers
+  let chartSummary = summarizeChart({
+    label: chartValueLabel,
+    series: chartSeries,
+    formatValue: chartDisplayMeta.chartValueFormatter,
+    t,
+  });
+  if (secondarySeries) {
+    chartSummary += ` ${summarizeChart({
+      label: t("chart.rightAxis", { label: secondaryMeta.label }),
+      series: [secondarySeries],
+      formatValue: secondarySeries.formatValue,
+      t,
+    })}`;
+  }
+  if (chartNotes.length > 0) {
+    chartSummary += ` ${t("summary.notes", {
+      notes: chartNotes
+        .map((n) => `${n.year}, ${n.countryName}: ${n.text}`)
+        .join("; "),
+    })}`;
+  }
+
+  // Series with data that the current transform leaves nothing of
+  const untransformableSeries = chartSeries.filter(
+    (s) => s.points.length > 0 && s.values.length === 0
+  );
+
+  // Findings for the primary country over the selected years, against the
+  // world and the first compared country
+  const insights = useMemo(() => {
+    const clipAll = (byKey) =>
+      Object.fromEntries(
+        Object.entries(byKey).map(([key, points]) => [
+          key,
+          clipSeries(points, yearRange),
+        ])
+      );
+    const compareCode = compareEnabled
+      ? compareCountries.find((c) => c !== primaryCode && c !== WORLD_CODE)
+      : null;
+    const compareEntry = compareCode ? compareEntries[compareCode] : null;
+
+    return generateInsights({
+      i18n,
+      indicators,
+      primary: {
+        name: primaryCountryName,
+        seriesByIndicator: clipAll(seriesByIndicator),
+      },
+      world:
+        primaryCode !== WORLD_CODE && worldEntry
+          ? {
+              name: t("country.world"),
+              seriesByIndicator: clipAll(worldEntry.data),
+            }
+          : null,
+      compare: compareEntry
+        ? {
+            name: countryNameFor(compareCode),
+            seriesByIndicator: clipAll(compareEntry.data),
+          }
+        : null,
+      openEnded: !yearRange.endYear,
+    });
+  }, [
+    compareCountries,
+    compareEnabled,
+    compareEntries,
+    countryNameFor,
+    i18n,
+    indicators,
+    primaryCode,
+    primaryCountryName,
+    seriesByIndicator,
+    t,
+    worldEntry,
+    yearRange,
+  ]);
+
+  // What the report can compare the primary country with: the world, then
+  // each compared country that has loaded
+  const reportPeers = useMemo(() => {
+    const list = [];
+    if (primaryCode !== WORLD_CODE && worldEntry) {
+      list.push({
+        code: WORLD_CODE,
+        name: t("country.world"),
+        seriesByIndicator: worldEntry.data,
+      });
+    }
+    if (compareEnabled) {
+      for (const code of compareCountries) {
+        if (code === primaryCode || code === WORLD_CODE) continue;
+        if (!compareEntries[code]) continue;
+        list.push({
+          code,
+          name: countryNameFor(code),
+          seriesByIndicator: compareEntries[code].data,
+        });
+      }
+    }
+    return list;
+  }, [
+    compareCountries,
+    compareEnabled,
+    compareEntries,
+    countryNameFor,
+    primaryCode,
+    t,
+    worldEntry,
+  ]);
+
+  // Every indicator for the primary and compared countries, coloured as in
+  // the trend chart, for the overview
+  const overviewSeries = useMemo(() => {
+    const list = [
+      {
+        key: primaryCode,
+        name: primaryCountryName,
+        seriesByIndicator,
+      },
+    ];
+    if (compareEnabled) {
+      for (const code of compareCountries) {
+        if (code === primaryCode) continue;
+        list.push({
+          key: code,
+          name: countryNameFor(code),
+          seriesByIndicator: compareEntries[code]?.data ?? {},
+        });
+      }
+    }
+    return list.map((s, i) => ({
+      ...s,
+      color: SERIES_COLORS[i % SERIES_COLORS.length],
+    }));
+  }, [
+    compareCountries,
+    compareEnabled,
+    compareEntries,
+    countryNameFor,
+    primaryCode,
+    primaryCountryName,
+    seriesByIndicator,
+  ]);
+
+  // Plotted countries, highlighted in the correlation view
+  const scatterHighlights = useMemo(
+    () =>
+      chartSeries
+        .filter((s) => !s.imported)
+        .map((s) => ({ code: s.key, name: s.name, color: s.color })),
+    [chartSeries]
+  );
+
+  // Merge every series into rows of { year, [seriesKey]: value }, plus
+  // `${key}__imputed` on filled-in values, and `${key}__trend`,
+  // `${key}__projected` and `${key}__band` ([lower, upper]) for the overlays.
+  // Every year in the span gets a row so missing years stay visible. Rows
+  // holding only projected values are flagged `projected`.
+  const mergedChartData = useMemo(() => {
+    const byYear = new Map();
+    const rowFor = (year) => {
+      if (!byYear.has(year)) byYear.set(year, { year });
+      return byYear.get(year);
+    };
+    for (const s of chartSeries) {
+      for (const p of s.displayPoints) {
+        const row = rowFor(p.year);
+        row[s.key] = p.value;
+        if (p.imputed) row[`${s.key}__imputed`] = p.imputed;
+      }
+      for (const p of s.trend) rowFor(p.year)[`${s.key}__trend`] = p.value;
+      if (s.projection.length > 0) {
+        // Start the projected line at the last observed point so it joins up
+        const last = s.visiblePoints[s.visiblePoints.length - 1];
+        rowFor(last.year)[`${s.key}__projected`] = last.value;
+        for (const p of s.projection) {
+          const row = rowFor(p.year);
+          row[`${s.key}__projected`] = p.value;
+          // A log axis can't draw an interval reaching down to zero
+          if (!activeLogScale || p.lower > 0) {
+            row[`${s.key}__band`] = [p.lower, p.upper];
+          }
+        }
+      }
+    }
+
+    const years = Array.from(byYear.keys());
+    for (let year = Math.min(...years); year < Math.max(...years); year++) {
+      rowFor(year);
+    }
+
+    // The right-axis indicator, when shown
+    if (secondarySeries) {
+      for (const p of secondarySeries.displayPoints) {
+        const row = rowFor(p.year);
+        row[SECONDARY_KEY] = p.value;
+        if (p.imputed) row[`${SECONDARY_KEY}__imputed`] = p.imputed;
+      }
+    }
+
+    return Array.from(byYear.values())
+      .sort((x, y) => x.year - y.year)
+      .map((row) => {
+        for (const s of chartSeries) row[s.key] ??= null;
+        if (secondarySeries) row[SECONDARY_KEY] ??= null;
+        row.projected =
+          chartSeries.every((s) => row[s.key] === null) &&
+          chartSeries.some((s) => row[`${s.key}__band`]);
+        return row;
+      });
+  }, [activeLogScale, chartSeries, secondarySeries]);
+
+  // Last year with observed data in any plotted series
+  const lastObservedYear = useMemo(() => {
+    const years = unionYears(chartSeries.map((s) => s.values));
+    return years.length ? years[years.length - 1] : null;
+  }, [chartSeries]);
+
+  // The chart window runs past an explicit end year to show the projection
+  const projectionEndYear = useMemo(() => {
+    const years = chartSeries.flatMap((s) => s.projection.map((p) => p.year));
+    return years.length ? Math.max(...years) : null;
+  }, [chartSeries]);
+  const windowEndYear =
+    yearRange.endYear && projectionEndYear
+      ? Math.max(yearRange.endYear, projectionEndYear)
+      : yearRange.endYear;
+
+  // Rows inside the selected year window (what exports and summaries use)
+  const visibleChartData = useMemo(
+    () =>
+      mergedChartData.filter(
+        (r) =>
+          (!yearRange.startYear || r.year >= yearRange.startYear) &&
+          (!windowEndYear || r.year <= windowEndYear)
+      ),
+    [mergedChartData, windowEndYear, yearRange]
+  );
+
+  // Every year any loaded series covers, for the range selectors
+  const availableYears = useMemo(
+    () =>
+      unionYears([
+        ...Object.values(seriesByIndicator),
+        ...chartSeries.map((s) => s.points),
+      ]),
+    [chartSeries, seriesByIndicator]
+  );
+
+  // Brush indices into mergedChartData for the selected window
+  const brushIndices = useMemo(() => {
+    const last = mergedChartData.length - 1;
+    let startIndex = 0;
+    let endIndex = last;
+    if (yearRange.startYear) {
+      const i = mergedChartData.findIndex((r) => r.year >= yearRange.startYear);
+      if (i !== -1) startIndex = i;
+    }
+    if (windowEndYear) {
+      const i = mergedChartData.findLastIndex((r) => r.year <= windowEndYear);
+      if (i !== -1) endIndex = i;
+    }
+    return { startIndex, endIndex: Math.max(startIndex, endIndex) };
+  }, [mergedChartData, windowEndYear, yearRange]);
+
+  function handleBrushChange({ startIndex, endIndex }) {
+    // An untouched handle keeps its bound: the end handle may sit on a
+    // projected year that isn't part of the selected range
+    const startYear =
+      startIndex === brushIndices.startIndex
+        ? yearRange.startYear
+        : startIndex > 0
+          ? mergedChartData[startIndex].year
+          : null;
+    const endRow = mergedChartData[endIndex];
+    const endYear =
+      endIndex === brushIndices.endIndex
+        ? yearRange.endYear
+        : endRow.year < lastObservedYear
+          ? endRow.year
+          : null;
+    setYearRange({ startYear, endYear });
+  }
+
+  function handleYearChange(bound, value) {
+    const year = value ? Number(value) : null;
+    setYearRange((prev) => {
+      const next = { ...prev, [bound]: year };
+      // Keep start <= end by moving the other bound along
+      if (next.startYear && next.endYear && next.startYear > next.endYear) {
+        if (bound === "startYear") next.endYear = year;
+        else next.startYear = year;
+      }
+      return next;
+    });
+  }
+
+  // Arrow keys, Home and End move between the view tabs
+  function handleTabKeyDown(e) {
+    const i = VIEWS.indexOf(activeView);
+    const next = {
+      ArrowLeft: i - 1,
+      ArrowRight: i + 1,
+      Home: 0,
+      End: VIEWS.length - 1,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    const tab = VIEWS[(next + VIEWS.length) % VIEWS.length];
+    setActiveView(tab);
+    document.getElementById(`view-tab-${tab}`)?.focus();
+  }
+
+  function toggleSeries(key) {
+    setHiddenSeries((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  // Oldest retrieval time among the series on screen
+  const dataAsOf = useMemo(() => {
+    const stamps = [
+      primaryAsOf,
+      ...(compareEnabled
+        ? Object.values(compareEntries).map((e) => e.cachedAt)
+        : []),
+    ].filter((t) => t != null);
+    return stamps.length ? Math.min(...stamps) : null;
+  }, [compareEnabled, compareEntries, primaryAsOf]);
+
+  async function handleCopyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function handleClearCache() {
+    clearIndicatorCache();
+    setCacheStats(getCacheStats());
+  }
 
   // Formatting
-  const formatLatest = (key, value) => {
-    if (value === null || value === undefined) return "No data";
-    if (key === "HEALTH_EXPENDITURE_PC")
-      return `$${Math.round(value).toLocaleString()}`;
-    if (key === "LIFE_EXPECTANCY") return `${value.toFixed(1)} years`;
-    return `${value.toFixed(1)} per 1,000`;
-  };
+  const formatLatest = (key, value) =>
+    formatIndicatorValue(indicators[key].format, value, i18n.locale);
+
+  const formatChange = (key, change) =>
+    formatIndicatorChange(indicators[key].format, change, i18n.locale);
+
+  // The catalog lists names in the interface language, but units are read
+  // from the English name, so that is what gets stored
+  async function handleAddIndicator(meta) {
+    if (addingIndicatorIds.includes(meta.id)) return;
+    if (customIndicators.some((c) => c.id === meta.id)) return;
+    setAddingIndicatorIds((prev) => [...prev, meta.id]);
+    let english = meta;
+    if (language !== "en" && dataProvider.languages.includes(language)) {
+      setTranslatedLabels((prev) => ({
+        ...prev,
+        [`${language}:${meta.id}`]: labelFromIndicatorName(meta.name),
+      }));
+      try {
+        english = await dataProvider.fetchIndicatorMetadata(meta.id, {
+          language: "en",
+        });
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    // Other adds may have finished while the metadata loaded
+    const added = customIndicatorFromMetadata(english);
+    setCustomIndicators((prev) =>
+      prev.some((c) => c.id === added.id) ? prev : [...prev, added]
+    );
+    setAddingIndicatorIds((prev) => prev.filter((id) => id !== meta.id));
+  }
+
+  function handleRemoveIndicator(key) {
+    const id = indicators[key]?.id;
+    setCustomIndicators((prev) => prev.filter((c) => c.id !== id));
+    if (selectedChartKey === key) setSelectedChartKey(DEFAULT_INDICATOR_KEY);
+  }
+
+  function toggleFavouriteCountry(code) {
+    const next = favouriteCountries.includes(code)
+      ? favouriteCountries.filter((c) => c !== code)
+      : [...favouriteCountries, code];
+    setFavouriteCountries(next);
+    saveFavouriteCountries(next);
+  }
+
+  function addRecent(code) {
+    const next = addRecentCountry(recentCountries, code);
+    setRecentCountries(next);
+    saveRecentCountries(next);
+  }
+
+  // Picking a primary country from any view counts as viewing it
+  function selectCountry(code) {
+    setSelectedCountry(code);
+    addRecent(code);
+  }
+
+  function updateAnnotations(next) {
+    setAnnotations(next);
+    setAnnotationsSaveFailed(!saveAnnotations(next));
+  }
 
-  const formatChange = (key, change) => {
-    if (change === null || change === undefined) return "n/a";
-    const sign = change >= 0 ? "+" : "";
-    if (key === "HEALTH_EXPENDITURE_PC")
-      return `${sign}${Math.round(change).toLocaleString()}`;
-    return `${sign}${change.toFixed(1)}`;
+  function handleAddAnnotation({ country, year, text }) {
+    updateAnnotations([
+      ...annotations,
+      createAnnotation({ country, metric: selectedChartKey, year, text }),
+    ]);
+  }
+
+  function handleRemoveAnnotation(id) {
+    if (linkedNotes.some((n) => n.id === id)) {
+      setLinkedNotes(linkedNotes.filter((n) => n.id !== id));
+    } else {
+      updateAnnotations(annotations.filter((a) => a.id !== id));
+    }
+  }
+
+  function keepLinkedNotes() {
+    updateAnnotations(mergeAnnotations(annotations, linkedNotes));
+    setLinkedNotes([]);
+  }
+
+  function updateUserDatasets(next) {
+    setUserDatasets(next);
+    setDatasetsSaveFailed(!saveUserDatasets(next));
+  }
+
+  // The dashboard state a saved view or shared link captures
+  const currentViewState = {
+    country: selectedCountry,
+    compareEnabled,
+    compareCountries,
+    metric: selectedChartKey,
+    ...yearRange,
+    view: activeView,
+    notes: viewNotes,
   };
+  const currentViewKey = viewStateKey(currentViewState);
+  const activeSavedViewId =
+    savedViews.find((v) => viewStateKey(v.state) === currentViewKey)?.id ?? null;
 
-  function handleDownloadCsv() {
-  if (!mergedChartData || mergedChartData.length === 0) return;
+  function updateSavedViews(next) {
+    setSavedViews(next);
+    setViewsSaveFailed(!saveSavedViews(next));
+  }
 
-  const metricLabel = chartMeta.label;
+  function handleSaveView(name) {
+    updateSavedViews([...savedViews, createSavedView(name, currentViewState)]);
+  }
 
-  const primaryName = primaryCountryName;
-  const compareName = compareCountryName;
+  // Codes the loaded country list doesn't know fall back to the defaults,
+  // as do metrics that aren't on this dashboard
+  function applySavedView({ state }) {
+    const known = (code) =>
+      countriesLoading || countriesError || selectableCodes.has(code);
+    const compare = state.compareCountries.filter(known);
+    setSelectedCountry(
+      state.country === GLOBAL_CODE || known(state.country)
+        ? state.country
+        : DEFAULT_VIEW.country
+    );
+    setCompareEnabled(state.compareEnabled);
+    setCompareCountries(compare.length ? compare : DEFAULT_VIEW.compareCountries);
+    setSelectedChartKey(
+      state.metric in indicators ? state.metric : DEFAULT_INDICATOR_KEY
+    );
+    setYearRange({ startYear: state.startYear, endYear: state.endYear });
+    setActiveView(state.view);
+    setLinkedNotes(linkedNotesFor(annotations, state.notes));
+  }
+
+  function handleExportViews() {
+    downloadFile("lifelens-views.json", viewsToFile(savedViews));
+  }
+
+  function handleImportDataset(dataset) {
+    updateUserDatasets([...userDatasets, dataset]);
+    setSelectedChartKey(dataset.indicatorKey);
+    setActiveView("trends");
+  }
+
+  function toggleDataset(id) {
+    updateUserDatasets(
+      userDatasets.map((d) => (d.id === id ? { ...d, visible: !d.visible } : d))
+    );
+  }
+
+  function removeDataset(id) {
+    updateUserDatasets(userDatasets.filter((d) => d.id !== id));
+  }
+
+  // Metadata block for exports of `indicatorList` across `countryList`
+  function exportMetadata(
+    indicatorList,
+    countryList,
+    { range = yearRange, imported = [], transform = null } = {}
+  ) {
+    return buildExportMetadata({
+      provider: dataProvider,
+      indicators: indicatorList,
+      countries: countryList,
+      importedDatasets: imported,
+      yearRange: range,
+      transform,
+      retrievedAt: dataAsOf,
+    });
+  }
+
+  const chartCountries = chartSeries
+    .filter((s) => !s.imported)
+    .map((s) => ({ code: s.key, name: s.name }));
+  const exportChartCountries = chartCountries.map((c) => ({
+    code: c.code,
+    name: exportCountryName(c.code),
+  }));
+  const chartImports = chartSeries
+    .filter((s) => s.imported)
+    .map((s) => ({ name: s.name, fileName: s.fileName }));
+
+  // Indicators on the chart, for export metadata
+  const exportSecondaryMeta = secondaryMeta
+    ? exportIndicators[secondaryKey]
+    : null;
+  const chartIndicators = exportSecondaryMeta
+    ? [exportChartMeta, exportSecondaryMeta]
+    : [exportChartMeta];
+
+  function chartFilenameBase() {
+    const [primary, ...others] = chartSeries;
+    let filenameBase = `${chartMeta.label}__${primary.name}`;
+    if (others.length === 1) filenameBase += `_vs_${others[0].name}`;
+    if (others.length > 1) filenameBase += `_vs_${others.length}_countries`;
+    const firstYear = visibleChartData[0].year;
+    const lastYear = visibleChartData[visibleChartData.length - 1].year;
+    filenameBase += `__${firstYear}-${lastYear}`;
+    return makeSafeFilename(filenameBase);
+  }
 
-  let header;
-  let rows;
+  function closeExportMenu() {
+    if (exportMenuRef.current) exportMenuRef.current.open = false;
+  }
 
-  if (!compareEnabled) {
-    header = [
+  function handleDownloadCsv() {
+    if (!visibleChartData || visibleChartData.length === 0) return;
+
+    const metricLabel = exportValueLabel;
+
+    // Filled-in values are labelled in a flag column per series, and
+    // projections get their own columns, with rows that hold only projected
+    // values marked "projected" in the status column
+    const flagged = missingDataMode !== "gaps";
+    const projectedSeries = chartSeries.filter((s) => s.projection.length > 0);
+    // The right-axis indicator follows the chart series, as reported
+    const secondaryLabel = exportSecondaryMeta
+      ? `${exportSecondaryMeta.label} (${exportCountryName(primaryCode)})`
+      : null;
+    const header = [
       "year",
-      `${metricLabel} (${primaryName})`
+      ...chartSeries.map((s) => `${metricLabel} (${exportSeriesName(s)})`),
+      ...(secondaryLabel ? [secondaryLabel] : []),
+      ...(flagged
+        ? chartSeries.map((s) => `${metricLabel} (${exportSeriesName(s)}) flag`)
+        : []),
+      ...(flagged && secondaryLabel ? [`${secondaryLabel} flag`] : []),
+      ...projectedSeries.flatMap((s) => {
+        const label = `${metricLabel} (${exportSeriesName(s)})`;
+        return [
+          `${label} projected`,
+          `${label} projected lower 95%`,
+          `${label} projected upper 95%`,
+        ];
+      }),
     ];
-    rows = mergedChartData.map((r) => [
-      r.year,
-      r.a ?? ""
-    ]);
-  } else {
-    header = [
-      "year",
-      `${metricLabel} (${primaryName})`,
-      `${metricLabel} (${compareName})`
+    if (projectedSeries.length > 0) header.push("status");
+    // Chart notes for each year, as "Country: note"
+    const notesByYear = new Map();
+    for (const note of chartNotes) {
+      if (!notesByYear.has(note.year)) notesByYear.set(note.year, []);
+      notesByYear
+        .get(note.year)
+        .push(`${exportCountryName(note.country)}: ${note.text}`);
+    }
+    if (notesByYear.size > 0) header.push("notes");
+
+    const rows = visibleChartData.map((r) => {
+      const row = [r.year, ...chartSeries.map((s) => r[s.key] ?? "")];
+      if (secondaryLabel) row.push(r[SECONDARY_KEY] ?? "");
+      if (flagged) {
+        for (const s of chartSeries) {
+          row.push(IMPUTED_LABELS[r[`${s.key}__imputed`]] ?? "");
+        }
+        if (secondaryLabel) {
+          row.push(IMPUTED_LABELS[r[`${SECONDARY_KEY}__imputed`]] ?? "");
+        }
+      }
+      if (projectedSeries.length > 0) {
+        for (const s of projectedSeries) {
+          const band = r[`${s.key}__band`];
+          row.push(
+            band ? r[`${s.key}__projected`] : "",
+            band?.[0] ?? "",
+            band?.[1] ?? ""
+          );
+        }
+        row.push(
+          r.projected
+            ? "projected"
+            : chartSeries.some(
+                  (s) => r[s.key] !== null && !r[`${s.key}__imputed`]
+                )
+              ? "observed"
+              : chartSeries.some((s) => r[s.key] !== null)
+                ? "imputed"
+                : ""
+        );
+      }
+      if (notesByYear.size > 0) {
+        row.push(notesByYear.get(r.year)?.join("; ") ?? "");
+      }
+      return row;
+    });
+
+    // Metadata block first, then a blank line and the data table
+    const metadata = exportMetadata(chartIndicators, exportChartCountries, {
+      imported: chartImports,
+      transform: exportTransform,
+    });
+    const csv = toCsv([...metadataRows(metadata), [], header, ...rows]);
+
+    downloadFile(`${chartFilenameBase()}.csv`, csv);
+  }
+
+  // The visible chart data as long-format records. Filled-in values carry
+  // `imputed` ("interpolated" or "carried forward"); projected values are
+  // separate records with `projected: true` and their 95% interval
+  function handleDownloadJson() {
+    if (visibleChartData.length === 0) return;
+
+    const data = [];
+    for (const s of chartSeries) {
+      for (const r of visibleChartData) {
+        const base = {
+          country: s.imported ? null : s.key,
+          countryName: exportSeriesName(s),
+          indicator: chartMeta.id,
+          year: r.year,
+        };
+        if (r[s.key] !== null) {
+          const imputed = IMPUTED_LABELS[r[`${s.key}__imputed`]];
+          data.push({
+            ...base,
+            value: r[s.key],
+            projected: false,
+            ...(imputed ? { imputed } : {}),
+          });
+        }
+        const band = r[`${s.key}__band`];
+        if (band) {
+          data.push({
+            ...base,
+            value: r[`${s.key}__projected`],
+            projected: true,
+            lower95: band[0],
+            upper95: band[1],
+          });
+        }
+      }
+    }
+
+    if (secondaryMeta) {
+      for (const r of visibleChartData) {
+        if (r[SECONDARY_KEY] === null) continue;
+        const imputed = IMPUTED_LABELS[r[`${SECONDARY_KEY}__imputed`]];
+        data.push({
+          country: toApiCode(selectedCountry),
+          countryName: exportCountryName(primaryCode),
+          indicator: secondaryMeta.id,
+          year: r.year,
+          value: r[SECONDARY_KEY],
+          projected: false,
+          ...(imputed ? { imputed } : {}),
+        });
+      }
+    }
+
+    const json = {
+      metadata: exportMetadata(chartIndicators, exportChartCountries, {
+        imported: chartImports,
+        transform: exportTransform,
+      }),
+      data,
+    };
+    downloadFile(`${chartFilenameBase()}.json`, JSON.stringify(json, null, 2));
+  }
+
+  // Points for chart series `s` on indicator `key`, from the primary or
+  // compare data (imported datasets only have their own indicator)
+  function seriesPointsFor(s, key) {
+    if (s.imported) return s.indicatorKey === key ? s.points : [];
+    if (s.key === toApiCode(selectedCountry)) return seriesByIndicator[key] || [];
+    return compareEntries[s.key]?.data[key] || [];
+  }
+
+  // One sheet per indicator for the countries on the chart, plus metadata
+  function handleDownloadWorkbook() {
+    const keys = Object.keys(exportIndicators);
+    const metadata = exportMetadata(
+      keys.map((key) => exportIndicators[key]),
+      exportChartCountries,
+      { imported: chartImports }
+    );
+    const sheets = [
+      { name: "Metadata", rows: metadataRows(metadata) },
+      ...keys.map((key) => ({
+        name: exportIndicators[key].label,
+        rows: wideRows(
+          chartSeries
+            .filter((s) => !s.imported || s.indicatorKey === key)
+            .map((s) => ({
+              name: exportSeriesName(s),
+              points: seriesPointsFor(s, key),
+            })),
+          yearRange
+        ),
+      })),
     ];
-    rows = mergedChartData.map((r) => [
-      r.year,
-      r.a ?? "",
-      r.b ?? ""
-    ]);
+
+    const [primary, ...others] = chartSeries;
+    const base = others.length
+      ? `${primary.name}_and_${others.length}_more__all_indicators`
+      : `${primary.name}__all_indicators`;
+    downloadFile(`${makeSafeFilename(base)}.xlsx`, createWorkbook(sheets));
   }
 
-  const csv =
-    header.map(escapeCsv).join(",") +
-    "\n" +
-    rows.map((row) => row.map(escapeCsv).join(",")).join("\n");
+  async function handleDownloadChart(format) {
+    const svg = chartRef.current?.querySelector("svg.recharts-surface");
+    if (!svg) return;
 
-  const filenameBase = !compareEnabled
-    ? `${metricLabel}__${primaryName}`
-    : `${metricLabel}__${primaryName}_vs_${compareName}`;
+    const metadata = exportMetadata(chartIndicators, exportChartCountries, {
+      imported: chartImports,
+    });
+    const scaleNote = activeLogScale ? ` (${t("chart.logScale")})` : "";
+    const svgString = chartToSvgString(svg, {
+      title: `${chartValueLabel}${scaleNote} • ${chartSeries
+        .map((s) => s.name)
+        .join(", ")}`,
+      legend: [...chartSeries, ...(secondarySeries ? [secondarySeries] : [])]
+        .filter((s) => !hiddenSeries.has(s.key))
+        .map((s) => ({ name: s.name, color: s.color })),
+      footer: metadata.citation,
+    });
 
-  const filename = `${makeSafeFilename(filenameBase)}.csv`;
+    if (format === "svg") {
+      downloadFile(`${chartFilenameBase()}.svg`, svgString);
+      return;
+    }
+    try {
+      const png = await svgStringToPng(svgString);
+      downloadFile(`${chartFilenameBase()}.png`, png);
+    } catch (err) {
+      console.error(err);
+    }
+  }
 
-  downloadTextFile(filename, csv);
-}
+  // Everything loaded for the primary country: every indicator, all years,
+  // as CSV, JSON and XLSX in one zip, with a citation file
+  function handleDownloadBundle() {
+    const keys = Object.keys(exportIndicators);
+    const country = { code: primaryCode, name: exportCountryName(primaryCode) };
+    const metadata = exportMetadata(
+      keys.map((key) => exportIndicators[key]),
+      [country],
+      { range: {} }
+    );
+    const series = keys.map((key) => ({
+      code: country.code,
+      name: country.name,
+      indicator: exportIndicators[key],
+      points: seriesByIndicator[key] || [],
+    }));
+    const records = longRecords(series);
+
+    const csvRows = [
+      ...metadataRows(metadata),
+      [],
+      ["country", "country_name", "indicator", "indicator_name", "year", "value"],
+      ...records.map((r) => [
+        r.country,
+        r.countryName,
+        r.indicator,
+        r.indicatorName,
+        r.year,
+        r.value,
+      ]),
+    ];
+    const workbook = createWorkbook([
+      { name: "Metadata", rows: metadataRows(metadata) },
+      ...series.map((s) => ({
+        name: s.indicator.label,
+        rows: wideRows([{ name: country.name, points: s.points }], {}),
+      })),
+    ]);
+
+    const base = makeSafeFilename(`${country.name}__all_indicators`);
+    const zip = createZip([
+      { name: `${base}.csv`, data: toCsv(csvRows) },
+      {
+        name: `${base}.json`,
+        data: JSON.stringify({ metadata, data: records }, null, 2),
+      },
+      { name: `${base}.xlsx`, data: workbook },
+      { name: "CITATION.txt", data: `${metadata.citation}\n` },
+    ]);
+    downloadFile(`${base}.zip`, zip);
+  }
 
+  if (reportOpen) {
+    return (
+      <I18nContext value={i18n}>
+        <div className="app report-page">
+          <CountryReport
+            country={{ code: primaryCode, name: primaryCountryName }}
+            indicators={indicators}
+            cards={latestCards}
+            seriesByIndicator={seriesByIndicator}
+            peers={reportPeers}
+            yearRange={yearRange}
+            metadata={exportMetadata(Object.values(indicators), [
+              { code: primaryCode, name: primaryCountryName },
+            ])}
+            onClose={() => setReportOpen(false)}
+          />
+        </div>
+      </I18nContext>
+    );
+  }
 
   return (
-    <div className="app">
-      <header className="app-header">
-        <h1>LifeLens</h1>
-        <p className="app-subtitle">
-          Exploring global health trends through public data.
-        </p>
-      </header>
-
-      <main className="app-main">
-        <section className="controls-panel">
-          <div className="panel-header">
-            <h2>Filters</h2>
+    <I18nContext value={i18n}>
+      <div className="app">
+        <header className="app-header">
+          <div>
+            <h1>LifeLens</h1>
+            <p className="app-subtitle">{t("app.subtitle")}</p>
           </div>
-
-          <div className="control-group">
-            <label htmlFor="country-select">Primary country</label>
-            <select
-              id="country-select"
-              value={selectedCountry}
-              onChange={(e) => setSelectedCountry(e.target.value)}
-              disabled={countriesLoading}
+          <div className="header-actions">
+            <button
+              type="button"
+              className="btn"
+              onClick={() => setReportOpen(true)}
+              disabled={loading}
             >
-              <option value="GLOBAL">Global (World)</option>
-              {countriesError && <option disabled>Could not load countries</option>}
-              {!countriesError &&
-                countries.map((country) => (
-                  <option key={country.id} value={country.id}>
-                    {country.name}
-                  </option>
-                ))}
-            </select>
-            {countriesLoading && (
-              <span className="hint-text">Loading countries…</span>
-            )}
-          </div>
-
-          <div className="control-group">
-            <label htmlFor="metric-select">Chart metric</label>
+              {t("report.generate")}
+            </button>
             <select
-              id="metric-select"
-              value={selectedChartKey}
-              onChange={(e) => setSelectedChartKey(e.target.value)}
+              className="text-input language-select"
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              aria-label={t("app.language")}
             >
-              {Object.keys(INDICATORS).map((key) => (
-                <option key={key} value={key}>
-                  {INDICATORS[key].label}
+              {LANGUAGES.map((l) => (
+                <option key={l.id} value={l.id} lang={l.id}>
+                  {l.label}
                 </option>
               ))}
             </select>
-            <span className="hint-text">
-              Switch what the trend chart displays.
-            </span>
           </div>
+        </header>
 
-          <div className="control-group">
-            <label>Compare mode</label>
-            <div className="toggle-row">
-              <input
-                id="compare-toggle"
-                type="checkbox"
-                checked={compareEnabled}
-                onChange={(e) => setCompareEnabled(e.target.checked)}
-              />
-              <label htmlFor="compare-toggle" className="toggle-label">
-                Enable comparison
+        <main className="app-main">
+          <section className="controls-panel">
+            <div className="panel-header">
+              <h2>{t("filters.title")}</h2>
+            </div>
+
+            <div className="control-group">
+              <label htmlFor="country-select">
+                {t("filters.primaryCountry")}
               </label>
+              <CountryCombobox
+                id="country-select"
+                value={selectedCountry}
+                onSelect={selectCountry}
+                countries={filteredCountries}
+                aggregates={primaryAggregates}
+                extras={globalOption}
+                favourites={favouriteCountries}
+                recents={recentCountries}
+                onToggleFavourite={toggleFavouriteCountry}
+                nameFor={countryNameFor}
+                disabled={countriesLoading}
+              />
+              {countriesLoading && (
+                <span className="hint-text">
+                  {t("filters.loadingCountries")}
+                </span>
+              )}
+              {countriesError && (
+                <span className="hint-text">
+                  {t("filters.countriesError")}
+                </span>
+              )}
             </div>
-            <span className="hint-text">Plot two countries on the same chart.</span>
-          </div>
 
-          {compareEnabled && (
             <div className="control-group">
-              <label htmlFor="compare-country">Compare against</label>
+              <label htmlFor="region-filter">
+                {t("filters.filterCountries")}
+              </label>
               <select
-                id="compare-country"
-                value={compareCountry}
-                onChange={(e) => setCompareCountry(e.target.value)}
+                id="region-filter"
+                value={countryFilter.region}
+                onChange={(e) =>
+                  setCountryFilter((prev) => ({ ...prev, region: e.target.value }))
+                }
                 disabled={countriesLoading}
               >
-                {countriesError && <option disabled>Could not load countries</option>}
-                {!countriesError &&
-                  countries.map((country) => (
-                    <option key={country.id} value={country.id}>
-                      {country.name}
-                    </option>
-                  ))}
+                <option value="">{t("filters.allRegions")}</option>
+                {regionOptions.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {r.value}
+                  </option>
+                ))}
+              </select>
+              <select
+                id="income-filter"
+                aria-label={t("filters.incomeGroup")}
+                value={countryFilter.incomeLevel}
+                onChange={(e) =>
+                  setCountryFilter((prev) => ({
+                    ...prev,
+                    incomeLevel: e.target.value,
+                  }))
+                }
+                disabled={countriesLoading}
+              >
+                <option value="">{t("filters.allIncomeGroups")}</option>
+                {incomeOptions.map((i) => (
+                  <option key={i.id} value={i.id}>
+                    {i.value}
+                  </option>
+                ))}
               </select>
-              <span className="hint-text">Tip: pick a very different country.</span>
+              <span className="hint-text">
+                {countryFilter.region || countryFilter.incomeLevel
+                  ? t("filters.matching", {
+                      matched: filteredCountries.length,
+                      total: countries.length,
+                    })
+                  : t("filters.filterHint")}
+              </span>
             </div>
-          )}
-        </section>
 
-        <section className="dashboard">
-          <div className="dashboard-section">
-            <h2>Key Health Metrics</h2>
+            <div className="control-group">
+              <label htmlFor="metric-select">{t("filters.chartMetric")}</label>
+              <select
+                id="metric-select"
+                value={selectedChartKey}
+                onChange={(e) => setSelectedChartKey(e.target.value)}
+              >
+                {Object.keys(indicators).map((key) => (
+                  <option key={key} value={key}>
+                    {indicators[key].label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn btn-small"
+                onClick={() => setCatalogOpen((open) => !open)}
+                aria-expanded={catalogOpen}
+              >
+                {catalogOpen
+                  ? t("filters.hideCatalog")
+                  : t("filters.browseIndicators")}
+              </button>
+              <span className="hint-text">{t("filters.metricHint")}</span>
+            </div>
 
-            {loading && <p className="placeholder">Loading health data…</p>}
+            <div className="control-group">
+              <label htmlFor="start-year">{t("filters.yearRange")}</label>
+              <div className="year-range">
+                <select
+                  id="start-year"
+                  aria-label={t("filters.startYear")}
+                  value={yearRange.startYear ?? ""}
+                  onChange={(e) => handleYearChange("startYear", e.target.value)}
+                >
+                  <option value="">{t("filters.earliest")}</option>
+                  {availableYears.map((year) => (
+                    <option key={year} value={year}>
+                      {year}
+                    </option>
+                  ))}
+                </select>
+                <span className="hint-text">{t("filters.to")}</span>
+                <select
+                  id="end-year"
+                  aria-label={t("filters.endYear")}
+                  value={yearRange.endYear ?? ""}
+                  onChange={(e) => handleYearChange("endYear", e.target.value)}
+                >
+                  <option value="">{t("filters.latest")}</option>
+                  {availableYears.map((year) => (
+                    <option key={year} value={year}>
+                      {year}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {(yearRange.startYear || yearRange.endYear) && (
+                <button
+                  className="btn btn-small"
+                  onClick={() => setYearRange({ startYear: null, endYear: null })}
+                >
+                  {t("filters.resetRange")}
+                </button>
+              )}
+              <span className="hint-text">{t("filters.rangeHint")}</span>
+            </div>
 
-            {error && !loading && (
-              <p className="placeholder error-placeholder">{error}</p>
-            )}
+            <div className="control-group">
+              <label>{t("filters.compareMode")}</label>
+              <div className="toggle-row">
+                <input
+                  id="compare-toggle"
+                  type="checkbox"
+                  checked={compareEnabled}
+                  onChange={(e) => setCompareEnabled(e.target.checked)}
+                />
+                <label htmlFor="compare-toggle" className="toggle-label">
+                  {t("filters.enableComparison")}
+                </label>
+              </div>
+              <span className="hint-text">
+                {t("filters.compareHint", { max: MAX_COMPARE_COUNTRIES })}
+              </span>
+            </div>
 
-            {!loading && !error && (
-              <div className="metrics-grid">
-                {latestCards.map((c) => (
-                  <div
-                    key={c.key}
-                    className="metric-card"
-                    style={{ cursor: "pointer" }}
-                    onClick={() => setSelectedChartKey(c.key)}
-                    title="Click to view this metric in the chart"
-                  >
-                    <span className="metric-label">{c.label}</span>
-
-                    <span className="metric-value">
-                      {formatLatest(c.key, c.latestValue)}
-                    </span>
-
-                    <span className="metric-meta">
-                      {c.latestYear
-                        ? `Latest year: ${c.latestYear}`
-                        : "Latest year: n/a"}
-                    </span>
-
-                    <span className="metric-meta">
-                      {c.startYear && c.latestYear && c.change !== null
-                        ? `Change since ${c.startYear}: ${formatChange(
-                            c.key,
-                            c.change
-                          )}`
-                        : "Change: n/a"}
-                    </span>
-                  </div>
-                ))}
+            {compareEnabled && (
+              <div className="control-group">
+                <label htmlFor="compare-country">
+                  {t("filters.compareAgainst")}
+                </label>
+                <CountryMultiSelect
+                  id="compare-country"
+                  countries={filteredCountries}
+                  aggregates={aggregates}
+                  favourites={favouriteCountries}
+                  recents={recentCountries}
+                  selected={compareCountries}
+                  onChange={setCompareCountries}
+                  onAdd={addRecent}
+                  exclude={[toApiCode(selectedCountry)]}
+                  max={MAX_COMPARE_COUNTRIES}
+                  disabled={countriesLoading || Boolean(countriesError)}
+                  nameFor={countryNameFor}
+                  colorFor={(code) =>
+                    chartSeries.find((s) => s.key === code)?.color
+                  }
+                />
+                {countriesError && (
+                  <span className="hint-text">
+                    {t("filters.countriesError")}
+                  </span>
+                )}
+                <span className="hint-text">{t("filters.compareTip")}</span>
               </div>
             )}
-          </div>
 
-          <div className="dashboard-section">
-            <h2>Trends & Charts</h2>
+            <div className="control-group">
+              <label>{t("filters.savedViews")}</label>
+              <SavedViews
+                views={savedViews}
+                activeViewId={activeSavedViewId}
+                defaultName={`${primaryCountryName} • ${chartMeta.label}`}
+                saveFailed={viewsSaveFailed}
+                onSave={handleSaveView}
+                onApply={applySavedView}
+                onRemove={(id) =>
+                  updateSavedViews(savedViews.filter((v) => v.id !== id))
+                }
+                onImport={(views) => updateSavedViews([...savedViews, ...views])}
+                onExport={handleExportViews}
+              />
+            </div>
 
-            {loading && <p className="placeholder">Loading chart…</p>}
+            <div className="control-group">
+              <label>{t("filters.yourDatasets")}</label>
+              {userDatasets.length > 0 && (
+                <ul className="dataset-list">
+                  {userDatasets.map((d) => (
+                    <li key={d.id}>
+                      <label className="dataset-toggle">
+                        <input
+                          type="checkbox"
+                          checked={d.visible}
+                          onChange={() => toggleDataset(d.id)}
+                        />
+                        <span>
+                          {d.name}
+                          <span className="hint-text">
+                            {" "}
+                            •{" "}
+                            {indicators[d.indicatorKey]?.label ??
+                              t("filters.metricRemoved")}{" "}
+                            •{" "}
+                            {t("filters.datasetYears", {
+                              count: d.points.length,
+                            })}
+                          </span>
+                        </span>
+                      </label>
+                      <button
+                        className="chip-remove"
+                        onClick={() => removeDataset(d.id)}
+                        aria-label={t("common.remove", { name: d.name })}
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <button
+                className="btn btn-small"
+                onClick={() => setImportOpen((open) => !open)}
+                aria-expanded={importOpen}
+              >
+                {importOpen ? t("filters.hideImport") : t("filters.importData")}
+              </button>
+              <span className="hint-text">
+                {datasetsSaveFailed
+                  ? t("filters.datasetsStorageFull")
+                  : t("filters.datasetsHint")}
+              </span>
+            </div>
 
-            {!loading && error && (
-              <p className="placeholder error-placeholder">
-                Could not load chart data.
-              </p>
+            <div className="control-group">
+              <label>{t("filters.offlineCache")}</label>
+              <span className="hint-text">
+                {t("filters.cacheStats", {
+                  count: cacheStats.entries,
+                  size: formatBytes(cacheStats.bytes, i18n.formatNumber),
+                })}
+              </span>
+              <button
+                className="btn"
+                onClick={handleClearCache}
+                disabled={cacheStats.entries === 0}
+              >
+                {t("filters.clearCache")}
+              </button>
+            </div>
+          </section>
+
+          <section className="dashboard">
+            {importOpen && (
+              <DatasetImport
+                indicators={indicators}
+                defaultIndicatorKey={selectedChartKey}
+                onImport={handleImportDataset}
+                onClose={() => setImportOpen(false)}
+              />
             )}
 
-            {!loading && !error && mergedChartData.length === 0 && (
-              <p className="placeholder">
-                No time-series data available for this metric.
-              </p>
+            {catalogOpen && (
+              <IndicatorCatalog
+                provider={dataProvider}
+                indicators={indicators}
+                addingIds={addingIndicatorIds}
+                onAdd={handleAddIndicator}
+                onRemove={handleRemoveIndicator}
+                onClose={() => setCatalogOpen(false)}
+              />
             )}
 
-            {!loading && !error && mergedChartData.length > 0 && (
-              <>
-                <div className="chart-actions">
-                  <button
-                    className="btn"
-                    onClick={handleDownloadCsv}
-                    disabled={mergedChartData.length === 0}
-                  >
-                    Download CSV
-                  </button>
-                  <span className="hint-text">
-                    Exports the visible chart data{" "}
-                    {compareEnabled ? "(both countries)" : ""}.
-                  </span>
-                </div>
+            <div className="dashboard-section">
+              <h2>{t("metrics.title")}</h2>
 
-                <p className="hint-text" style={{ marginTop: 0 }}>
-                  Showing: <strong>{chartMeta.label}</strong>
-                  {compareEnabled ? (
-                    <>
-                      {" "}
-                      • <strong>{primaryCountryName}</strong> vs{" "}
-                      <strong>{compareCountryName}</strong>
-                    </>
-                  ) : (
-                    <>
-                      {" "}
-                      • <strong>{primaryCountryName}</strong>
-                    </>
-                  )}
+              {dataAsOf && !loading && (
+                <p className="hint-text data-as-of">
+                  {t("metrics.asOf", { date: i18n.formatDate(dataAsOf) })}
+                  {refreshing ? ` • ${t("metrics.refreshing")}` : ""}
                 </p>
+              )}
 
-                {compareEnabled && (
-                  <div className="compare-summary">
-                    <div className="compare-pill">
-                      <span className="compare-name">{primaryCountryName}</span>
-                      <span className="compare-value">
-                        {latestForMetric.a
-                          ? chartMeta.chartValueFormatter(latestForMetric.a.value)
-                          : "No data"}
+              {loading && <p className="placeholder">{t("metrics.loading")}</p>}
+
+              {error && !loading && (
+                <p className="placeholder error-placeholder">
+                  {i18n.errorMessage(error)}
+                </p>
+              )}
+
+              {!loading && !error && (
+                <div className="metrics-grid">
+                  {latestCards.map((c) => (
+                    <button
+                      key={c.key}
+                      type="button"
+                      className="metric-card"
+                      aria-pressed={selectedChartKey === c.key}
+                      onClick={() => setSelectedChartKey(c.key)}
+                      title={t("card.title")}
+                    >
+                      <span className="metric-label">{c.label}</span>
+
+                      {c.error && (
+                        <span
+                          className="metric-badge error-badge"
+                          title={i18n.errorMessage(c.error)}
+                        >
+                          {c.latestValue === null
+                            ? t("common.failedToLoad")
+                            : t("card.refreshFailed")}
+                        </span>
+                      )}
+
+                      <span className="metric-value">
+                        {formatLatest(c.key, c.latestValue)}
                       </span>
-                    </div>
 
-                    <div className="compare-pill">
-                      <span className="compare-name">{compareCountryName}</span>
-                      <span className="compare-value">
-                        {latestForMetric.b
-                          ? chartMeta.chartValueFormatter(latestForMetric.b.value)
-                          : "No data"}
+                      <span className="metric-meta">
+                        {t("card.latestYear", {
+                          year: c.latestYear ?? t("value.notAvailable"),
+                        })}
                       </span>
-                    </div>
-                  </div>
+
+                      <span className="metric-meta">
+                        {c.startYear && c.latestYear && c.change !== null
+                          ? yearRange.startYear || yearRange.endYear
+                            ? t("card.changeBetween", {
+                                from: c.startYear,
+                                to: c.latestYear,
+                                change: formatChange(c.key, c.change),
+                              })
+                            : t("card.changeSince", {
+                                from: c.startYear,
+                                change: formatChange(c.key, c.change),
+                              })
+                          : t("card.changeNone")}
+                      </span>
+
+                      <span
+                        className="metric-meta"
+                        title={t("card.coverageTitle", c.coverageSpan)}
+                      >
+                        {c.coverage.total > 0
+                          ? t("card.coverage", {
+                              reported: c.coverage.reported,
+                              total: c.coverage.total,
+                            })
+                          : t("card.coverageNone")}
+                      </span>
+
+                      {cardRanks[c.key] && (
+                        <span className="metric-meta metric-rank">
+                          {t("card.rank", {
+                            rank: cardRanks[c.key].rank,
+                            total: cardRanks[c.key].total,
+                            year: c.latestYear,
+                            ordinal: ordinal(cardRanks[c.key].percentile),
+                            n: cardRanks[c.key].percentile,
+                          })}
+                        </span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {!loading && !error && (
+              <div className="dashboard-section">
+                <h2>{t("insights.title", { name: primaryCountryName })}</h2>
+                <p className="hint-text">{t("insights.hint")}</p>
+                <InsightsPanel
+                  insights={insights}
+                  loading={worldLoading || compareLoading}
+                  onSelectMetric={(key) => {
+                    setSelectedChartKey(key);
+                    setActiveView("trends");
+                  }}
+                />
+              </div>
+            )}
+
+            <div
+              className="view-tabs"
+              role="tablist"
+              aria-label={t("tabs.label")}
+              onKeyDown={handleTabKeyDown}
+            >
+              {VIEWS.map((tab) => (
+                <button
+                  key={tab}
+                  id={`view-tab-${tab}`}
+                  role="tab"
+                  aria-selected={activeView === tab}
+                  aria-controls={`view-panel-${tab}`}
+                  tabIndex={activeView === tab ? 0 : -1}
+                  className={activeView === tab ? "view-tab active" : "view-tab"}
+                  onClick={() => setActiveView(tab)}
+                >
+                  {t(`tabs.${tab}`)}
+                </button>
+              ))}
+            </div>
+
+            {activeView === "trends" && (
+              <div
+                className="dashboard-section"
+                id="view-panel-trends"
+                role="tabpanel"
+                aria-labelledby="view-tab-trends"
+              >
+                <h2>{t("chart.title")}</h2>
+
+                {loading && <p className="placeholder">{t("chart.loading")}</p>}
+
+                {!loading && error && (
+                  <p className="placeholder error-placeholder">
+                    {t("chart.loadError")}
+                  </p>
                 )}
 
-                <div className="chart-wrapper">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart
-                      data={mergedChartData}
-                      margin={{ top: 10, right: 20, left: 0, bottom: 10 }}
-                    >
-                      <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
-                      <XAxis
-                        dataKey="year"
-                        tick={{ fontSize: 10 }}
-                        tickMargin={6}
-                      />
-                      <YAxis tick={{ fontSize: 10 }} tickMargin={6} />
-                      <Tooltip
-                        formatter={(value) =>
-                          value === null
-                            ? "No data"
-                            : chartMeta.chartValueFormatter(value)
-                        }
-                        labelFormatter={(label) => `Year: ${label}`}
-                      />
-                      <Line
-                        type="monotone"
-                        dataKey="a"
-                        stroke="#4f46e5"
-                        strokeWidth={2}
-                        dot={false}
-                        activeDot={{ r: 4 }}
-                        name={primaryCountryName}
-                        connectNulls
-                      />
-                      {compareEnabled && (
-                        <Line
-                          type="monotone"
-                          dataKey="b"
-                          stroke="#22c55e"
-                          strokeWidth={2}
-                          dot={false}
-                          activeDot={{ r: 4 }}
-                          name={compareCountryName}
-                          connectNulls
+                {!loading && !error && !hasChartData && (
+                  <p
+                    className={
+                      seriesErrors[selectedChartKey]
+                        ? "placeholder error-placeholder"
+                        : "placeholder"
+                    }
+                  >
+                    {seriesErrors[selectedChartKey]
+                      ? t("chart.metricError", {
+                          label: chartMeta.label.toLowerCase(),
+                        })
+                      : t("chart.noData")}
+                  </p>
+                )}
+
+                {!loading && !error && hasChartData && (
+                  <>
+                    <div className="chart-actions">
+                      <div className="chart-buttons">
+                        <details className="export-menu" ref={exportMenuRef}>
+                          <summary className="btn">
+                            {t("export.button")}
+                          </summary>
+                          <div className="export-options" onClick={closeExportMenu}>
+                            <span className="export-heading">
+                              {t("export.visibleData")}
+                            </span>
+                            <button
+                              onClick={handleDownloadCsv}
+                              disabled={visibleChartData.length === 0}
+                            >
+                              CSV
+                            </button>
+                            <button
+                              onClick={handleDownloadJson}
+                              disabled={visibleChartData.length === 0}
+                            >
+                              JSON
+                            </button>
+                            <span className="export-heading">
+                              {t("export.image")}
+                            </span>
+                            <button
+                              onClick={() => handleDownloadChart("png")}
+                              disabled={chartAsTable}
+                            >
+                              PNG
+                            </button>
+                            <button
+                              onClick={() => handleDownloadChart("svg")}
+                              disabled={chartAsTable}
+                            >
+                              SVG
+                            </button>
+                            <span className="export-heading">
+                              {t("export.allIndicators")}
+                            </span>
+                            <button onClick={handleDownloadWorkbook}>
+                              {t("export.workbook")}
+                            </button>
+                            <button onClick={handleDownloadBundle}>
+                              {t("export.bundle", { name: primaryCountryName })}
+                            </button>
+                          </div>
+                        </details>
+                        <button className="btn" onClick={handleCopyLink}>
+                          {linkCopied
+                            ? t("chart.linkCopied")
+                            : t("chart.copyLink")}
+                        </button>
+                        <button
+                          className="btn"
+                          aria-pressed={chartAsTable}
+                          onClick={() => setChartAsTable((shown) => !shown)}
+                        >
+                          {t("chart.viewTable")}
+                        </button>
+                      </div>
+                      <span className="hint-text">{t("export.hint")}</span>
+                    </div>
+
+                    <p className="hint-text" style={{ marginTop: 0 }}>
+                      {t("chart.showing")} <strong>{chartValueLabel}</strong>
+                      {" "}
+                      • <strong>{primaryCountryName}</strong>
+                      {chartSeries.length === 2 && (
+                        <>
+                          {" "}
+                          {t("chart.versus")}{" "}
+                          <strong>{chartSeries[1].name}</strong>
+                        </>
+                      )}
+                      {chartSeries.length > 2 &&
+                        ` ${t("chart.versusCount", {
+                          count: chartSeries.length - 1,
+                        })}`}
+                      {visibleChartData.length > 0 &&
+                        (yearRange.startYear || yearRange.endYear) &&
+                        ` • ${visibleChartData[0].year}–${
+                          visibleChartData[visibleChartData.length - 1].year
+                        }`}
+                      {activeLogScale && ` • ${t("chart.logScale")}`}
+                      {secondaryMeta &&
+                        ` • ${t("chart.rightAxis", {
+                          label: secondaryMeta.label,
+                        })}`}
+                      {compareLoading && ` • ${t("chart.loadingComparison")}`}
+                      {(pppData.loading || deflatorData.loading) &&
+                        ` • ${t("chart.loadingConversion")}`}
+                    </p>
+
+                    <div className="chart-options">
+                      <select
+                        className="text-input"
+                        value={trendMode}
+                        onChange={(e) => setTrendMode(e.target.value)}
+                        aria-label={t("chart.trendLine")}
+                      >
+                        {TREND_MODES.map((mode) => (
+                          <option key={mode} value={mode}>
+                            {t(`trend.${mode}`)}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        className="text-input"
+                        value={projectionYears}
+                        onChange={(e) => setProjectionYears(Number(e.target.value))}
+                        aria-label={t("chart.projection")}
+                      >
+                        {PROJECTION_OPTIONS.map((n) => (
+                          <option key={n} value={n}>
+                            {n
+                              ? t("chart.projectYears", { count: n })
+                              : t("chart.noProjection")}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        className="text-input"
+                        value={missingDataMode}
+                        onChange={(e) => setMissingDataMode(e.target.value)}
+                        aria-label={t("chart.missingYears")}
+                      >
+                        {MISSING_DATA_MODES.map((mode) => (
+                          <option key={mode} value={mode}>
+                            {t(`missing.${mode}`)}
+                          </option>
+                        ))}
+                      </select>
+                      {chartSeries.some((s) => s.gaps.length > 0) && (
+                        <span className="hint-text">
+                          {missingDataMode === "gaps"
+                            ? t("chart.gapsHint")
+                            : t("chart.gapsFilledHint")}
+                        </span>
+                      )}
+                      <select
+                        className="text-input"
+                        value={valueTransform}
+                        onChange={(e) => setValueTransform(e.target.value)}
+                        aria-label={t("chart.scaleValues")}
+                      >
+                        {VALUE_TRANSFORMS.map((transform) => (
+                          <option key={transform} value={transform}>
+                            {t(`transform.${transform}`)}
+                          </option>
+                        ))}
+                      </select>
+                      {valueTransform === "index" && (
+                        <select
+                          className="text-input"
+                          value={baseYear ?? ""}
+                          onChange={(e) =>
+                            setBaseYear(e.target.value ? Number(e.target.value) : null)
+                          }
+                          aria-label={t("chart.baseYear")}
+                        >
+                          <option value="">{t("chart.baseYearFirst")}</option>
+                          {availableYears.map((year) => (
+                            <option key={year} value={year}>
+                              {t("chart.baseYearOption", { year })}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {isCurrencyMetric && (
+                        <select
+                          className="text-input"
+                          value={activeDollarMode}
+                          onChange={(e) => setDollarMode(e.target.value)}
+                          aria-label={t("chart.dollars")}
+                        >
+                          {DOLLAR_MODES.filter(
+                            (mode) => mode !== "ppp" || chartMeta.pppId
+                          ).map((mode) => (
+                            <option key={mode} value={mode}>
+                              {t(`dollars.${mode}`)}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      <label className="chart-check">
+                        <input
+                          type="checkbox"
+                          checked={activeLogScale}
+                          onChange={(e) => setLogScale(e.target.checked)}
+                          disabled={valueTransform === "change"}
                         />
+                        {t("chart.logScaleOption")}
+                      </label>
+                      <select
+                        className="text-input"
+                        value={secondaryMeta ? secondaryKey : ""}
+                        onChange={(e) => setSecondaryKey(e.target.value || null)}
+                        aria-label={t("chart.secondAxis")}
+                      >
+                        <option value="">{t("chart.noSecondAxis")}</option>
+                        {Object.entries(indicators)
+                          .filter(([key]) => key !== selectedChartKey)
+                          .map(([key, meta]) => (
+                            <option key={key} value={key}>
+                              {t("chart.rightAxis", { label: meta.label })}
+                            </option>
+                          ))}
+                      </select>
+                      {secondaryMeta &&
+                        (valueTransform !== "values" ||
+                          activeDollarMode !== "nominal" ||
+                          activeLogScale) && (
+                          <span className="hint-text">
+                            {t("chart.secondAxisHint")}
+                          </span>
+                        )}
+                      {activeDollarMode === "constant" && (
+                        <span className="hint-text">
+                          {t("chart.deflatorHint", { id: DEFLATOR_ID })}
+                        </span>
                       )}
-                    </LineChart>
-                  </ResponsiveContainer>
-                </div>
-              </>
+                      {activeDollarMode === "ppp" && (
+                        <span className="hint-text">
+                          {t("chart.pppHint", { id: chartMeta.pppId })}
+                        </span>
+                      )}
+                      {activeDollarMode !== "nominal" &&
+                        chartSeries.some((s) => s.imported) && (
+                          <span className="hint-text">
+                            {t("chart.importedAsGiven")}
+                          </span>
+                        )}
+                      {(pppData.error || deflatorData.error) && (
+                        <span className="hint-text">
+                          {i18n.errorMessage(
+                            pppData.error || deflatorData.error
+                          )}
+                        </span>
+                      )}
+                      {untransformableSeries.length > 0 &&
+                        !pppData.loading &&
+                        !deflatorData.loading && (
+                          <span className="hint-text">
+                            {valueTransform === "index" && indexBaseYear
+                              ? t("chart.notShownBaseYear", {
+                                  names: untransformableSeries
+                                    .map((s) => s.name)
+                                    .join(", "),
+                                  year: indexBaseYear,
+                                })
+                              : t("chart.notShown", {
+                                  names: untransformableSeries
+                                    .map((s) => s.name)
+                                    .join(", "),
+                                })}
+                          </span>
+                        )}
+                      {projectionYears > 0 && (
+                        <span className="hint-text">
+                          {t("chart.projectionHint", {
+                            years: PROJECTION_FIT_YEARS,
+                          })}
+                        </span>
+                      )}
+                    </div>
+
+                    {compareEnabled && (
+                      <div className="compare-summary">
+                        {chartSeries.map((s) => (
+                          <div key={s.key} className="compare-pill">
+                            <span className="compare-name">
+                              <span
+                                className="chip-swatch"
+                                style={{ background: s.color }}
+                                aria-hidden="true"
+                              />
+                              {s.name}
+                            </span>
+                            <span className="compare-value">
+                              {s.latest
+                                ? chartDisplayMeta.chartValueFormatter(s.latest.value)
+                                : s.error
+                                  ? t("common.failedToLoad")
+                                  : t("value.noData")}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {mergedChartData.length === 0 && (
+                      <p className="placeholder">{t("chart.nothingToPlot")}</p>
+                    )}
+
+                    <p id="chart-summary" className="visually-hidden">
+                      {chartSummary}
+                    </p>
+
+                    {mergedChartData.length > 0 && chartAsTable && (
+                      <ChartDataTable
+                        rows={visibleChartData}
+                        series={
+                          secondarySeries
+                            ? [...chartSeries, secondarySeries]
+                            : chartSeries
+                        }
+                        formatValue={chartDisplayMeta.chartValueFormatter}
+                        caption={chartValueLabel}
+                      />
+                    )}
+
+                    {mergedChartData.length > 0 && !chartAsTable && (
+                      <div
+                        className="chart-wrapper"
+                        ref={chartRef}
+                        role="figure"
+                        aria-label={chartValueLabel}
+                        aria-describedby="chart-summary"
+                      >
+                        <ResponsiveContainer width="100%" height="100%">
+                          <ComposedChart
+                            data={mergedChartData}
+                            margin={{
+                              top: 10,
+                              right: secondarySeries ? 0 : 20,
+                              left: 0,
+                              bottom: 10,
+                            }}
+                          >
+                            <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+                            <XAxis
+                              dataKey="year"
+                              tick={{ fontSize: 10 }}
+                              tickMargin={6}
+                            />
+                            <YAxis
+                              tick={{ fontSize: 10 }}
+                              tickMargin={6}
+                              tickFormatter={(v) => i18n.formatNumber(v)}
+                              scale={activeLogScale ? "log" : "auto"}
+                              domain={activeLogScale ? ["auto", "auto"] : [0, "auto"]}
+                            />
+                            {secondarySeries && (
+                              <YAxis
+                                yAxisId={SECONDARY_KEY}
+                                orientation="right"
+                                tick={{ fontSize: 10 }}
+                                tickMargin={6}
+                                tickFormatter={(v) => i18n.formatNumber(v)}
+                                domain={[0, "auto"]}
+                              />
+                            )}
+                            <Tooltip
+                              formatter={(value, name, item) => {
+                                if (value === null) return t("value.noData");
+                                if (Array.isArray(value)) {
+                                  return value
+                                    .map(chartDisplayMeta.chartValueFormatter)
+                                    .join(" – ");
+                                }
+                                const imputed =
+                                  item?.payload?.[`${item.dataKey}__imputed`];
+                                const formatted =
+                                  item?.dataKey === SECONDARY_KEY
+                                    ? secondarySeries.formatValue(value)
+                                    : chartDisplayMeta.chartValueFormatter(value);
+                                return imputed
+                                  ? `${formatted} (${t(`imputed.${imputed}`)})`
+                                  : formatted;
+                              }}
+                              labelFormatter={(label) =>
+                                t("chart.tooltipYear", { year: label })
+                              }
+                            />
+                            {(chartSeries.length > 1 || secondarySeries) && (
+                              <Legend
+                                wrapperStyle={{ fontSize: 11, cursor: "pointer" }}
+                                onClick={(entry) => toggleSeries(entry.dataKey)}
+                                formatter={(value) => (
+                                  <span className="chart-legend-text">
+                                    {value}
+                                  </span>
+                                )}
+                              />
+                            )}
+                            {chartSeries
+                              .filter((s) => !hiddenSeries.has(s.key))
+                              .flatMap((s) =>
+                                s.gaps.map((gap) => (
+                                  <ReferenceArea
+                                    key={`${s.key}-gap-${gap.from}`}
+                                    x1={gap.from - 1}
+                                    x2={gap.to + 1}
+                                    fill={s.color}
+                                    fillOpacity={0.08}
+                                    strokeOpacity={0}
+                                  />
+                                ))
+                              )}
+                            {projectionEndYear && lastObservedYear && (
+                              <ReferenceLine
+                                x={lastObservedYear}
+                                stroke="rgba(226, 232, 240, 0.45)"
+                                strokeDasharray="2 4"
+                                label={{
+                                  value: t("chart.projected"),
+                                  position: "insideTopRight",
+                                  fill: "rgba(226, 232, 240, 0.65)",
+                                  fontSize: 10,
+                                }}
+                              />
+                            )}
+                            {noteLines.map((line) => (
+                              <ReferenceLine
+                                key={`note-${line.year}`}
+                                x={line.year}
+                                stroke={line.color}
+                                strokeDasharray="4 2"
+                                label={{
+                                  value: line.label,
+                                  position: "insideTopLeft",
+                                  fill: "rgba(226, 232, 240, 0.85)",
+                                  fontSize: 10,
+                                }}
+                              />
+                            ))}
+                            {chartSeries.map((s) =>
+                              s.projection.length > 0 ? (
+                                <Area
+                                  key={`${s.key}__band`}
+                                  type="monotone"
+                                  dataKey={`${s.key}__band`}
+                                  stroke="none"
+                                  fill={s.color}
+                                  fillOpacity={0.15}
+                                  name={t("chart.intervalSeries", {
+                                    name: s.name,
+                                  })}
+                                  legendType="none"
+                                  hide={hiddenSeries.has(s.key)}
+                                  isAnimationActive={false}
+                                />
+                              ) : null
+                            )}
+                            {chartSeries.map((s) => (
+                              <Line
+                                key={s.key}
+                                type="monotone"
+                                dataKey={s.key}
+                                stroke={s.color}
+                                strokeWidth={2}
+                                dot={seriesDot(s)}
+                                activeDot={{ r: 4 }}
+                                name={s.name}
+                                hide={hiddenSeries.has(s.key)}
+                              />
+                            ))}
+                            {secondarySeries && (
+                              <Line
+                                yAxisId={SECONDARY_KEY}
+                                type="monotone"
+                                dataKey={SECONDARY_KEY}
+                                stroke={SECONDARY_COLOR}
+                                strokeWidth={2}
+                                dot={seriesDot(secondarySeries)}
+                                activeDot={{ r: 4 }}
+                                name={secondarySeries.name}
+                                hide={hiddenSeries.has(SECONDARY_KEY)}
+                              />
+                            )}
+                            {chartSeries.map((s) =>
+                              s.trend.length > 0 ? (
+                                <Line
+                                  key={`${s.key}__trend`}
+                                  type="monotone"
+                                  dataKey={`${s.key}__trend`}
+                                  stroke={s.color}
+                                  strokeWidth={1}
+                                  strokeOpacity={0.7}
+                                  strokeDasharray="1 3"
+                                  dot={false}
+                                  activeDot={false}
+                                  name={t("chart.trendSeries", {
+                                    name: s.name,
+                                  })}
+                                  legendType="none"
+                                  hide={hiddenSeries.has(s.key)}
+                                  connectNulls
+                                />
+                              ) : null
+                            )}
+                            {chartSeries.map((s) =>
+                              s.projection.length > 0 ? (
+                                <Line
+                                  key={`${s.key}__projected`}
+                                  type="monotone"
+                                  dataKey={`${s.key}__projected`}
+                                  stroke={s.color}
+                                  strokeWidth={2}
+                                  strokeDasharray="6 4"
+                                  dot={false}
+                                  activeDot={{ r: 3 }}
+                                  name={t("chart.projectedSeries", {
+                                    name: s.name,
+                                  })}
+                                  legendType="none"
+                                  hide={hiddenSeries.has(s.key)}
+                                  connectNulls
+                                />
+                              ) : null
+                            )}
+                            <Brush
+                              dataKey="year"
+                              height={22}
+                              travellerWidth={8}
+                              stroke="#6366f1"
+                              fill="rgba(2, 6, 23, 0.55)"
+                              startIndex={brushIndices.startIndex}
+                              endIndex={brushIndices.endIndex}
+                              onChange={handleBrushChange}
+                            />
+                          </ComposedChart>
+                        </ResponsiveContainer>
+                      </div>
+                    )}
+
+                    <h3 className="subsection-title">{t("notes.title")}</h3>
+                    <p className="hint-text">
+                      {annotationsSaveFailed
+                        ? t("notes.storageFull")
+                        : t("notes.hint")}
+                    </p>
+                    <ChartNotes
+                      notes={chartNotes}
+                      countries={chartCountries}
+                      years={availableYears}
+                      linkedCount={linkedNotes.length}
+                      onAdd={handleAddAnnotation}
+                      onRemove={handleRemoveAnnotation}
+                      onKeepLinked={keepLinkedNotes}
+                      onDiscardLinked={() => setLinkedNotes([])}
+                    />
+
+                    <h3 className="subsection-title">{t("stats.title")}</h3>
+                    <p className="hint-text">{t("stats.hint")}</p>
+                    <TrendStatsTable
+                      series={chartSeries}
+                      indicator={chartDisplayMeta}
+                    />
+                  </>
+                )}
+              </div>
             )}
-          </div>
-        </section>
-      </main>
 
-      <footer className="app-footer">
-        <span>Built for portfolio • Health Data Tracker</span>
-      </footer>
-    </div>
+            {activeView === "overview" && (
+              <div
+                className="dashboard-section"
+                id="view-panel-overview"
+                role="tabpanel"
+                aria-labelledby="view-tab-overview"
+              >
+                <h2>{t("overview.title")}</h2>
+
+                {loading && <p className="placeholder">{t("chart.loading")}</p>}
+
+                {!loading && error && (
+                  <p className="placeholder error-placeholder">
+                    {t("chart.loadError")}
+                  </p>
+                )}
+
+                {!loading && !error && (
+                  <>
+                    <p className="hint-text">{t("overview.hint")}</p>
+                    <SmallMultiples
+                      indicators={indicators}
+                      series={overviewSeries}
+                      yearRange={yearRange}
+                      onSelectMetric={(key) => {
+                        setSelectedChartKey(key);
+                        setActiveView("trends");
+                      }}
+                    />
+                  </>
+                )}
+              </div>
+            )}
+
+            {activeView === "map" && (
+              <div
+                className="dashboard-section"
+                id="view-panel-map"
+                role="tabpanel"
+                aria-labelledby="view-tab-map"
+              >
+                <h2>{t("map.title")}</h2>
+                <Suspense
+                  fallback={<p className="placeholder">{t("map.loading")}</p>}
+                >
+                  <WorldMap
+                    seriesByCountry={allCountriesData.seriesByCountry}
+                    loading={allCountriesData.loading}
+                    error={allCountriesData.error}
+                    indicator={chartMeta}
+                    countryNameFor={countryNameFor}
+                    selectedCode={toApiCode(selectedCountry)}
+                    selectableCodes={selectableCodes}
+                    onSelectCountry={selectCountry}
+                  />
+                </Suspense>
+              </div>
+            )}
+
+            {activeView === "rankings" && (
+              <div
+                className="dashboard-section"
+                id="view-panel-rankings"
+                role="tabpanel"
+                aria-labelledby="view-tab-rankings"
+              >
+                <h2>{t("rankings.title")}</h2>
+                <RankingsTable
+                  key={chartMeta.id}
+                  seriesByCountry={allCountriesData.seriesByCountry}
+                  loading={allCountriesData.loading}
+                  error={allCountriesData.error}
+                  indicator={chartMeta}
+                  countries={countries}
+                  selectedCode={toApiCode(selectedCountry)}
+                  onSelectCountry={selectCountry}
+                />
+              </div>
+            )}
+
+            {activeView === "scatter" && (
+              <div
+                className="dashboard-section"
+                id="view-panel-scatter"
+                role="tabpanel"
+                aria-labelledby="view-tab-scatter"
+              >
+                <h2>{t("scatter.title")}</h2>
+                <CorrelationScatter
+                  provider={dataProvider}
+                  indicators={indicators}
+                  initialYKey={selectedChartKey}
+                  countries={countries}
+                  highlights={scatterHighlights}
+                  onSelectCountry={(code) =>
+                    selectCountry(code === WORLD_CODE ? GLOBAL_CODE : code)
+                  }
+                />
+              </div>
+            )}
+          </section>
+        </main>
+
+        <footer className="app-footer">
+          <span>{t("app.footer", { source: dataProvider.label })}</span>
+        </footer>
+      </div>
+    </I18nContext>
   );
 }
 
@@ -0,0 +1,117 @@
+import { useMemo, useState } from "react";
+import { useI18n } from "../hooks/useI18n";
+
+// Sorts missing values last whichever way the column is sorted
+function compareValues(a, b, sign) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return sign * (a - b);
+}
+
+// Projected columns only hold values past the last observed year
+function valueAt(row, key) {
+  if (key.endsWith("__projected")) {
+    return row[key.replace(/__projected$/, "__band")] ? row[key] : null;
+  }
+  return row[key] ?? null;
+}
+
+// The trend chart's data as a sortable table: one row per year of `rows`
+// (merged chart rows), a column per series and one per projection.
+// Filled-in values are labelled; `caption` names the plotted metric. A
+// series' own `formatValue`, if any, overrides the table's.
+function ChartDataTable({ rows, series, formatValue, caption }) {
+  const { t } = useI18n();
+  const [sort, setSort] = useState({ key: "year", dir: "asc" });
+
+  const columns = useMemo(
+    () => [
+      { key: "year", label: t("common.year") },
+      ...series.map((s) => ({
+        key: s.key,
+        label: s.name,
+        series: s.key,
+        format: s.formatValue,
+      })),
+      ...series
+        .filter((s) => s.projection.length > 0)
+        .map((s) => ({
+          key: `${s.key}__projected`,
+          label: t("chart.projectedSeries", { name: s.name }),
+        })),
+    ],
+    [series, t]
+  );
+
+  const sortedRows = useMemo(() => {
+    const sign = sort.dir === "asc" ? 1 : -1;
+    return [...rows].sort((a, b) =>
+      compareValues(valueAt(a, sort.key), valueAt(b, sort.key), sign)
+    );
+  }, [rows, sort]);
+
+  function handleSort(key) {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, dir: prev.dir === "asc" ? "desc" : "asc" }
+        : { key, dir: "asc" }
+    );
+  }
+
+  function formatCell(row, col) {
+    const value = valueAt(row, col.key);
+    if (value === null) return t("value.noData");
+    const imputed = col.series && row[`${col.series}__imputed`];
+    const formatted = (col.format ?? formatValue)(value);
+    return imputed ? `${formatted} (${t(`imputed.${imputed}`)})` : formatted;
+  }
+
+  return (
+    <div className="table-scroll">
+      <table className="data-table">
+        <caption className="visually-hidden">{caption}</caption>
+        <thead>
+          <tr>
+            {columns.map((col) => (
+              <th
+                key={col.key}
+                scope="col"
+                aria-sort={
+                  sort.key === col.key
+                    ? sort.dir === "asc"
+                      ? "ascending"
+                      : "descending"
+                    : "none"
+                }
+              >
+                <button
+                  type="button"
+                  className="th-button"
+                  onClick={() => handleSort(col.key)}
+                >
+                  {col.label}
+                  {sort.key === col.key && (sort.dir === "asc" ? " ▲" : " ▼")}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedRows.map((row) => (
+            <tr key={row.year}>
+              <th scope="row">{row.year}</th>
+              {columns.slice(1).map((col) => (
+                <td key={col.key} className="numeric">
+                  {formatCell(row, col)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ChartDataTable;
@@ -0,0 +1,133 @@
+import { useState } from "react";
+import { useI18n } from "../hooks/useI18n";
+import { MAX_NOTE_LENGTH } from "../lib/annotations";
+
+// Notes on the trend chart: a form to mark a year for one of the plotted
+// `countries` ([{ code, name }]), and the notes already on this chart
+// (`notes`: annotations with `countryName`). `years` are the years offered.
+// `linkedCount` notes come from a link or view and aren't saved yet; the
+// user can keep or discard them.
+function ChartNotes({
+  notes,
+  countries,
+  years,
+  linkedCount = 0,
+  onAdd,
+  onRemove,
+  onKeepLinked,
+  onDiscardLinked,
+}) {
+  const { t } = useI18n();
+  const [country, setCountry] = useState("");
+  const [year, setYear] = useState("");
+  const [text, setText] = useState("");
+
+  // Fall back to the first country and latest year until one is picked
+  const activeCountry = countries.some((c) => c.code === country)
+    ? country
+    : (countries[0]?.code ?? "");
+  const activeYear = years.includes(Number(year))
+    ? Number(year)
+    : (years[years.length - 1] ?? null);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!activeCountry || !activeYear || !text.trim()) return;
+    onAdd({ country: activeCountry, year: activeYear, text });
+    setText("");
+  }
+
+  return (
+    <div className="chart-notes">
+      <form className="note-form" onSubmit={handleSubmit}>
+        {countries.length > 1 && (
+          <select
+            className="text-input"
+            value={activeCountry}
+            onChange={(e) => setCountry(e.target.value)}
+            aria-label={t("notes.country")}
+          >
+            {countries.map((c) => (
+              <option key={c.code} value={c.code}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <select
+          className="text-input"
+          value={activeYear ?? ""}
+          onChange={(e) => setYear(e.target.value)}
+          aria-label={t("notes.year")}
+          disabled={years.length === 0}
+        >
+          {years.map((y) => (
+            <option key={y} value={y}>
+              {y}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="text-input"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={MAX_NOTE_LENGTH}
+          placeholder={t("notes.placeholder")}
+          aria-label={t("notes.text")}
+        />
+        <button
+          type="submit"
+          className="btn btn-small"
+          disabled={!activeCountry || !activeYear || !text.trim()}
+        >
+          {t("notes.add")}
+        </button>
+      </form>
+
+      {linkedCount > 0 && (
+        <div className="linked-notes" role="status">
+          <span>{t("notes.linked", { count: linkedCount })}</span>
+          <button type="button" className="btn btn-small" onClick={onKeepLinked}>
+            {t("notes.keep")}
+          </button>
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={onDiscardLinked}
+          >
+            {t("notes.discard")}
+          </button>
+        </div>
+      )}
+
+      {notes.length > 0 && (
+        <ul className="note-list">
+          {notes.map((note) => (
+            <li key={note.id}>
+              <span className="note-year">{note.year}</span>
+              <span className="note-country">{note.countryName}</span>
+              <span className="note-text">{note.text}</span>
+              {note.linked && (
+                <span className="note-tag">{t("notes.fromLink")}</span>
+              )}
+              <button
+                type="button"
+                className="chip-remove"
+                onClick={() => onRemove(note.id)}
+                aria-label={t("notes.remove", {
+                  year: note.year,
+                  text: note.text,
+                })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ChartNotes;
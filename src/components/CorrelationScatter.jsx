@@ -0,0 +1,346 @@
+import { useMemo, useState } from "react";
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  LabelList,
+  ResponsiveContainer,
+} from "recharts";
+import { useAllCountriesSeries } from "../hooks/useAllCountriesSeries";
+import { useI18n } from "../hooks/useI18n";
+import { defaultRankingYear } from "../lib/rankings";
+import { linearRegression } from "../lib/stats";
+
+const POINT_COLOR = "rgba(148, 163, 184, 0.75)";
+
+const identity = (v) => v;
+
+function ScatterTooltip({ active, payload, xMeta, yMeta }) {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  if (!point.code) return null;
+  return (
+    <div className="scatter-tooltip">
+      <strong>{point.name}</strong>
+      <span>
+        {xMeta.label}: {xMeta.chartValueFormatter(point.x)}
+      </span>
+      <span>
+        {yMeta.label}: {yMeta.chartValueFormatter(point.y)}
+      </span>
+    </div>
+  );
+}
+
+// Two indicators plotted against each other, one point per country, for a
+// single year. `highlights` ([{ code, name, color }]) are drawn on top.
+function CorrelationScatter({
+  provider,
+  indicators,
+  initialYKey,
+  countries,
+  highlights,
+  onSelectCountry,
+}) {
+  const { t, errorMessage, formatNumber } = useI18n();
+  const keys = Object.keys(indicators);
+  const [yKey, setYKey] = useState(initialYKey);
+  const [xKey, setXKey] = useState(() =>
+    initialYKey === "HEALTH_EXPENDITURE_PC"
+      ? "LIFE_EXPECTANCY"
+      : "HEALTH_EXPENDITURE_PC"
+  );
+  const [year, setYear] = useState(null);
+  const [logX, setLogX] = useState(false);
+  const [logY, setLogY] = useState(false);
+
+  const xMeta = indicators[xKey] ?? indicators[keys[0]];
+  const yMeta = indicators[yKey] ?? indicators[keys[0]];
+  const xData = useAllCountriesSeries(provider, xMeta.id);
+  const yData = useAllCountriesSeries(provider, yMeta.id);
+
+  const highlightByCode = useMemo(
+    () => new Map(highlights.map((h) => [h.code, h])),
+    [highlights]
+  );
+
+  // { ISO3: [{ year, x, y }] } for years where both indicators are reported
+  const pairedSeries = useMemo(() => {
+    const names = new Map(countries.map((c) => [c.id, c.name]));
+    const codes = new Set([...names.keys(), ...highlightByCode.keys()]);
+    const paired = {};
+    for (const code of codes) {
+      const yByYear = new Map(
+        (yData.seriesByCountry[code] || []).map((p) => [p.year, p.value])
+      );
+      const points = [];
+      for (const p of xData.seriesByCountry[code] || []) {
+        if (yByYear.has(p.year)) {
+          points.push({ year: p.year, x: p.value, y: yByYear.get(p.year) });
+        }
+      }
+      if (points.length) paired[code] = points;
+    }
+    return paired;
+  }, [countries, highlightByCode, xData.seriesByCountry, yData.seriesByCountry]);
+
+  const years = useMemo(() => {
+    const set = new Set();
+    for (const points of Object.values(pairedSeries)) {
+      for (const p of points) set.add(p.year);
+    }
+    return Array.from(set).sort((a, b) => b - a);
+  }, [pairedSeries]);
+
+  const activeYear =
+    year && years.includes(year)
+      ? year
+      : defaultRankingYear(pairedSeries, Object.keys(pairedSeries));
+
+  const { points, highlighted, skipped } = useMemo(() => {
+    const names = new Map(countries.map((c) => [c.id, c.name]));
+    const all = [];
+    let dropped = 0;
+    for (const [code, series] of Object.entries(pairedSeries)) {
+      const p = series.find((d) => d.year === activeYear);
+      if (!p) continue;
+      // Log axes can't show zero or negative values
+      if ((logX && p.x <= 0) || (logY && p.y <= 0)) {
+        dropped++;
+        continue;
+      }
+      const highlight = highlightByCode.get(code);
+      all.push({
+        code,
+        name: highlight?.name ?? names.get(code) ?? code,
+        x: p.x,
+        y: p.y,
+        highlight,
+      });
+    }
+    return {
+      // Aggregates only appear when highlighted, so they stay out of the fit
+      points: all.filter((p) => names.has(p.code)),
+      highlighted: all.filter((p) => p.highlight),
+      skipped: dropped,
+    };
+  }, [activeYear, countries, highlightByCode, logX, logY, pairedSeries]);
+
+  // Fitted in the displayed space, so the line is straight on log axes too
+  const fit = useMemo(() => {
+    const tx = logX ? Math.log10 : identity;
+    const ty = logY ? Math.log10 : identity;
+    const model = linearRegression(points.map((p) => ({ x: tx(p.x), y: ty(p.y) })));
+    if (!model || points.length < 3) return null;
+
+    const xs = points.map((p) => p.x);
+    const [x0, x1] = [Math.min(...xs), Math.max(...xs)];
+    const untransform = logY ? (v) => 10 ** v : identity;
+    return {
+      r2: model.r2,
+      r: Math.sign(model.slope) * Math.sqrt(model.r2),
+      segment: [
+        { x: x0, y: untransform(model.predict(tx(x0))) },
+        { x: x1, y: untransform(model.predict(tx(x1))) },
+      ],
+    };
+  }, [logX, logY, points]);
+
+  const loading = xData.loading || yData.loading;
+  const error = xData.error || yData.error;
+
+  const formatCoefficient = (value) =>
+    formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  function handlePointClick(point) {
+    if (point?.code) onSelectCountry(point.code);
+  }
+
+  return (
+    <div className="scatter">
+      <div className="scatter-controls">
+        <label>
+          <span className="hint-text">{t("scatter.xAxis")}</span>
+          <select
+            className="text-input"
+            value={xKey}
+            onChange={(e) => setXKey(e.target.value)}
+          >
+            {keys.map((key) => (
+              <option key={key} value={key}>
+                {indicators[key].label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="hint-text">{t("scatter.yAxis")}</span>
+          <select
+            className="text-input"
+            value={yKey}
+            onChange={(e) => setYKey(e.target.value)}
+          >
+            {keys.map((key) => (
+              <option key={key} value={key}>
+                {indicators[key].label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="hint-text">{t("common.year")}</span>
+          <select
+            className="text-input"
+            value={activeYear ?? ""}
+            onChange={(e) => setYear(Number(e.target.value))}
+            disabled={years.length === 0}
+          >
+            {years.map((y) => (
+              <option key={y} value={y}>
+                {y}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="scatter-check">
+          <input
+            type="checkbox"
+            checked={logX}
+            onChange={(e) => setLogX(e.target.checked)}
+          />
+          {t("scatter.logX")}
+        </label>
+        <label className="scatter-check">
+          <input
+            type="checkbox"
+            checked={logY}
+            onChange={(e) => setLogY(e.target.checked)}
+          />
+          {t("scatter.logY")}
+        </label>
+      </div>
+
+      {loading && points.length === 0 && (
+        <p className="placeholder">{t("scatter.loading")}</p>
+      )}
+
+      {!loading && error && points.length === 0 && (
+        <p className="placeholder error-placeholder">{errorMessage(error)}</p>
+      )}
+
+      {!loading && !error && points.length === 0 && (
+        <p className="placeholder">{t("scatter.empty")}</p>
+      )}
+
+      {points.length > 0 && (
+        <>
+          <p className="hint-text scatter-summary">
+            {t("scatter.countries", {
+              count: points.length,
+              year: activeYear,
+            })}
+            {fit &&
+              ` • ${t(logX || logY ? "scatter.fitLog" : "scatter.fit", {
+                r: formatCoefficient(fit.r),
+                r2: formatCoefficient(fit.r2),
+              })}`}
+            {skipped > 0 &&
+              ` • ${t("scatter.skipped", { count: skipped })}`}
+          </p>
+
+          <div className="chart-wrapper">
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+                <XAxis
+                  type="number"
+                  dataKey="x"
+                  name={xMeta.label}
+                  scale={logX ? "log" : "auto"}
+                  domain={["auto", "auto"]}
+                  tick={{ fontSize: 10 }}
+                  tickFormatter={xMeta.chartValueFormatter}
+                  label={{
+                    value: xMeta.label,
+                    position: "insideBottom",
+                    offset: -12,
+                    fontSize: 11,
+                    fill: "rgba(226, 232, 240, 0.65)",
+                  }}
+                />
+                <YAxis
+                  type="number"
+                  dataKey="y"
+                  name={yMeta.label}
+                  scale={logY ? "log" : "auto"}
+                  domain={["auto", "auto"]}
+                  tick={{ fontSize: 10 }}
+                  tickFormatter={yMeta.chartValueFormatter}
+                  width={70}
+                />
+                <Tooltip
+                  content={<ScatterTooltip xMeta={xMeta} yMeta={yMeta} />}
+                />
+                <Scatter
+                  data={points.filter((p) => !p.highlight)}
+                  fill={POINT_COLOR}
+                  onClick={handlePointClick}
+                  cursor="pointer"
+                  isAnimationActive={false}
+                />
+                {fit && (
+                  <ReferenceLine
+                    segment={fit.segment}
+                    stroke="#f59e0b"
+                    strokeWidth={1.5}
+                    strokeDasharray="6 4"
+                    ifOverflow="extendDomain"
+                  />
+                )}
+                {highlighted.map((p) => (
+                  <Scatter
+                    key={p.code}
+                    data={[p]}
+                    fill={p.highlight.color}
+                    onClick={handlePointClick}
+                    cursor="pointer"
+                    isAnimationActive={false}
+                  >
+                    <LabelList
+                      dataKey="name"
+                      position="top"
+                      fontSize={10}
+                      fill={p.highlight.color}
+                    />
+                  </Scatter>
+                ))}
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+
+          {highlighted.length > 0 && (
+            <ul className="scatter-highlights">
+              {highlighted.map((p) => (
+                <li key={p.code}>
+                  <span
+                    className="chip-swatch"
+                    style={{ background: p.highlight.color }}
+                    aria-hidden="true"
+                  />
+                  {p.name}: {xMeta.chartValueFormatter(p.x)},{" "}
+                  {yMeta.chartValueFormatter(p.y)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CorrelationScatter;
@@ -0,0 +1,265 @@
+import { useId, useMemo, useState } from "react";
+import { useI18n } from "../hooks/useI18n";
+import { matchesCountry } from "../lib/countries";
+
+// Countries grouped by region, regions in alphabetical order
+function regionGroups(countries, locale) {
+  const byRegion = new Map();
+  for (const c of countries) {
+    const id = c.region?.id || "none";
+    if (!byRegion.has(id)) {
+      byRegion.set(id, {
+        key: `region-${id}`,
+        label: c.region?.value?.trim() || "",
+        options: [],
+      });
+    }
+    byRegion.get(id).options.push(c);
+  }
+  return Array.from(byRegion.values()).sort((a, b) =>
+    a.label.localeCompare(b.label, locale)
+  );
+}
+
+// Type-ahead country picker (ARIA combobox with a grouped listbox). Typing
+// matches names, ISO2/ISO3 codes and capitals; with no search text the list
+// starts with `favourites` and `recents` (country codes). `extras` are
+// options listed before everything else, such as the world; codes in
+// `exclude` aren't offered. `onToggleFavourite` adds a pin button for the
+// selected `value`. With no `value` the input clears after each pick.
+function CountryCombobox({
+  id,
+  value = null,
+  onSelect,
+  countries,
+  aggregates = [],
+  extras = [],
+  favourites = [],
+  recents = [],
+  exclude = [],
+  onToggleFavourite,
+  nameFor,
+  placeholder,
+  disabled = false,
+}) {
+  const { t, locale } = useI18n();
+  const baseId = useId();
+  const listId = `${baseId}-list`;
+  const [open, setOpen] = useState(false);
+  // Search text while typing; null shows the selected country's name
+  const [query, setQuery] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const lookup = useMemo(
+    () => new Map([...extras, ...countries, ...aggregates].map((c) => [c.id, c])),
+    [aggregates, countries, extras]
+  );
+
+  const groups = useMemo(() => {
+    const text = query?.trim() ?? "";
+    const keep = (c) => !exclude.includes(c.id) && matchesCountry(c, text);
+    const pick = (codes) =>
+      codes
+        .map((code) => lookup.get(code))
+        .filter((c) => c && keep(c));
+    const list = [
+      { key: "extras", label: null, options: extras.filter(keep) },
+      {
+        key: "favourites",
+        label: t("picker.favourites"),
+        options: pick(favourites),
+      },
+      // Recents help when browsing, not when searching
+      {
+        key: "recents",
+        label: t("picker.recents"),
+        options: text
+          ? []
+          : pick(recents.filter((code) => !favourites.includes(code))),
+      },
+      ...regionGroups(countries.filter(keep), locale),
+      {
+        key: "aggregates",
+        label: t("common.aggregates"),
+        options: aggregates.filter(keep),
+      },
+    ];
+    let index = 0;
+    return list
+      .filter((g) => g.options.length > 0)
+      .map((g) => ({
+        ...g,
+        options: g.options.map((option) => ({
+          option,
+          index: index++,
+          optionId: `${baseId}-${g.key}-${option.id}`,
+        })),
+      }));
+  }, [
+    aggregates,
+    baseId,
+    countries,
+    exclude,
+    extras,
+    favourites,
+    locale,
+    lookup,
+    query,
+    recents,
+    t,
+  ]);
+
+  const flat = groups.flatMap((g) => g.options);
+  const active = Math.min(activeIndex, flat.length - 1);
+  const expanded = open && flat.length > 0;
+  const selectedName = value
+    ? (lookup.get(value)?.name ?? nameFor?.(value) ?? value)
+    : "";
+  const isFavourite = value !== null && favourites.includes(value);
+
+  function close() {
+    setOpen(false);
+    setQuery(null);
+  }
+
+  function choose(option) {
+    onSelect(option.id);
+    close();
+  }
+
+  function moveTo(index) {
+    setActiveIndex(index);
+    document
+      .getElementById(flat[index]?.optionId)
+      ?.scrollIntoView?.({ block: "nearest" });
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!open) {
+        setOpen(true);
+        setActiveIndex(e.key === "ArrowDown" ? 0 : flat.length - 1);
+        return;
+      }
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      moveTo(Math.max(0, Math.min(flat.length - 1, active + step)));
+    } else if (e.key === "PageDown" || e.key === "PageUp") {
+      if (!expanded) return;
+      e.preventDefault();
+      const step = e.key === "PageDown" ? 10 : -10;
+      moveTo(Math.max(0, Math.min(flat.length - 1, active + step)));
+    } else if (e.key === "Enter") {
+      if (!expanded) return;
+      e.preventDefault();
+      choose(flat[active].option);
+    } else if (e.key === "Escape") {
+      if (open) setOpen(false);
+      else setQuery(null);
+    } else if (e.key === "Tab") {
+      close();
+    }
+  }
+
+  return (
+    <div className="combobox">
+      <div className="combobox-row">
+        <input
+          id={id}
+          type="text"
+          className="text-input"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={expanded}
+          aria-controls={listId}
+          aria-activedescendant={expanded ? flat[active].optionId : undefined}
+          autoComplete="off"
+          spellCheck={false}
+          placeholder={placeholder ?? t("picker.placeholder")}
+          value={query ?? selectedName}
+          disabled={disabled}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+            setOpen(true);
+          }}
+          onFocus={(e) => e.target.select()}
+          onClick={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          onBlur={close}
+        />
+        {onToggleFavourite && value !== null && (
+          <button
+            type="button"
+            className="btn btn-small favourite-toggle"
+            aria-pressed={isFavourite}
+            aria-label={t("picker.favourite", { name: selectedName })}
+            title={t("picker.favourite", { name: selectedName })}
+            onClick={() => onToggleFavourite(value)}
+            disabled={disabled}
+          >
+            {isFavourite ? "★" : "☆"}
+          </button>
+        )}
+      </div>
+
+      <ul
+        id={listId}
+        className="combobox-list"
+        role="listbox"
+        aria-label={t("picker.suggestions")}
+        hidden={!expanded}
+      >
+        {expanded &&
+          groups.map((g) => (
+            <li
+              key={g.key}
+              role={g.label ? "group" : "none"}
+              aria-labelledby={g.label ? `${baseId}-${g.key}` : undefined}
+            >
+              {g.label && (
+                <div id={`${baseId}-${g.key}`} className="combobox-group-label">
+                  {g.label}
+                </div>
+              )}
+              <ul role="none">
+                {g.options.map(({ option, index, optionId }) => (
+                  <li
+                    key={option.id}
+                    id={optionId}
+                    role="option"
+                    aria-selected={option.id === value}
+                    className={
+                      index === active
+                        ? "combobox-option active"
+                        : "combobox-option"
+                    }
+                    // Keep focus in the input so the list stays open
+                    onMouseDown={(e) => e.preventDefault()}
+                    onMouseMove={() => index !== active && setActiveIndex(index)}
+                    onClick={() => choose(option)}
+                  >
+                    <span>{option.name}</span>
+                    {option.iso2Code && (
+                      <span className="combobox-option-meta">
+                        {option.capitalCity
+                          ? `${option.capitalCity} · ${option.id}`
+                          : option.id}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+      </ul>
+      {open && flat.length === 0 && (
+        <p className="hint-text combobox-empty" role="status">
+          {t("picker.noMatches")}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default CountryCombobox;
@@ -0,0 +1,77 @@
+import { useI18n } from "../hooks/useI18n";
+import CountryCombobox from "./CountryCombobox";
+
+// Selected countries shown as removable chips, plus a country picker to add
+// more. `aggregates` (regions, income groups) are offered in their own group,
+// and `favourites` and `recents` (country codes) first.
+function CountryMultiSelect({
+  id,
+  countries,
+  aggregates = [],
+  favourites = [],
+  recents = [],
+  selected,
+  onChange,
+  onAdd,
+  exclude = [],
+  max = Infinity,
+  disabled = false,
+  colorFor,
+  nameFor,
+}) {
+  const { t } = useI18n();
+  const names = new Map(
+    [...countries, ...aggregates].map((c) => [c.id, c.name])
+  );
+  // Selected codes may be outside `countries` when the list is filtered
+  const labelFor = nameFor ?? ((code) => names.get(code) ?? code);
+  const atLimit = selected.length >= max;
+
+  function handleAdd(code) {
+    onChange([...selected, code]);
+    onAdd?.(code);
+  }
+
+  return (
+    <div className="multi-select">
+      {selected.length > 0 && (
+        <ul className="chip-list">
+          {selected.map((code) => (
+            <li key={code} className="chip">
+              {colorFor && (
+                <span
+                  className="chip-swatch"
+                  style={{ background: colorFor(code) }}
+                  aria-hidden="true"
+                />
+              )}
+              <span className="chip-label">{labelFor(code)}</span>
+              <button
+                type="button"
+                className="chip-remove"
+                onClick={() => onChange(selected.filter((c) => c !== code))}
+                aria-label={t("common.remove", { name: labelFor(code) })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <CountryCombobox
+        id={id}
+        onSelect={handleAdd}
+        countries={countries}
+        aggregates={aggregates}
+        favourites={favourites}
+        recents={recents}
+        exclude={[...selected, ...exclude]}
+        placeholder={atLimit ? t("countries.max", { max }) : t("countries.add")}
+        disabled={disabled || atLimit}
+      />
+    </div>
+  );
+}
+
+export default CountryMultiSelect;
@@ -0,0 +1,295 @@
+import { useEffect, useRef, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid } from "recharts";
+import { useI18n } from "../hooks/useI18n";
+import { formatIndicatorChange, formatIndicatorValue } from "../lib/format";
+import { clipSeries } from "../lib/series";
+
+// Dark enough to read on paper, and told apart in greyscale by the dashes
+const COUNTRY_COLOR = "#4338ca";
+const PEER_COLOR = "#b45309";
+// Fixed chart size: responsive charts don't resize in time for printing
+const CHART_WIDTH = 330;
+const CHART_HEIGHT = 140;
+
+function latestPoint(points) {
+  return points.length ? points[points.length - 1] : null;
+}
+
+// Rows of { year, country, peer } for one indicator's chart
+function chartRows(countryPoints, peerPoints) {
+  const byYear = new Map();
+  const rowFor = (year) => {
+    if (!byYear.has(year)) {
+      byYear.set(year, { year, country: null, peer: null });
+    }
+    return byYear.get(year);
+  };
+  for (const p of countryPoints) rowFor(p.year).country = p.value;
+  for (const p of peerPoints) rowFor(p.year).peer = p.value;
+  return Array.from(byYear.values()).sort((a, b) => a.year - b.year);
+}
+
+// One-page, print-ready profile of the selected country: its metric cards,
+// a comparison with the world or a chosen peer, a trend chart per indicator
+// and the data sources. `cards` are the dashboard's metric cards, `peers`
+// [{ code, name, seriesByIndicator }] the countries it can be compared with
+// and `metadata` export metadata for the indicators shown.
+function CountryReport({
+  country,
+  indicators,
+  cards,
+  seriesByIndicator,
+  peers,
+  yearRange,
+  metadata,
+  onClose,
+}) {
+  const { t, locale, formatDate, formatNumber } = useI18n();
+  const [peerCode, setPeerCode] = useState(null);
+  const [generatedAt] = useState(() => Date.now());
+  const headingRef = useRef(null);
+  // The first peer until one is picked; peers can arrive after the report opens
+  const peer = peers.find((p) => p.code === peerCode) ?? peers[0] ?? null;
+
+  // Move focus into the report so keyboard and screen reader users land on it
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, []);
+
+  const formatValue = (key, value) =>
+    formatIndicatorValue(indicators[key].format, value, locale);
+  const formatChange = (key, change) =>
+    formatIndicatorChange(indicators[key].format, change, locale);
+  const pointsFor = (byIndicator, key) =>
+    clipSeries(byIndicator?.[key] || [], yearRange);
+
+  const years = cards.flatMap((c) =>
+    c.startYear && c.latestYear ? [c.startYear, c.latestYear] : []
+  );
+
+  return (
+    <article className="country-report">
+      <div className="report-toolbar">
+        <button type="button" className="btn" onClick={() => window.print()}>
+          {t("report.print")}
+        </button>
+        {peers.length > 0 && (
+          <label className="report-peer">
+            {t("report.compareWith")}
+            <select
+              className="text-input"
+              value={peer.code}
+              onChange={(e) => setPeerCode(e.target.value)}
+            >
+              {peers.map((p) => (
+                <option key={p.code} value={p.code}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <button type="button" className="btn" onClick={onClose}>
+          {t("report.close")}
+        </button>
+        <span className="hint-text">{t("report.printHint")}</span>
+      </div>
+
+      <header className="report-header">
+        <h1 ref={headingRef} tabIndex={-1}>
+          {t("report.title", { name: country.name })}
+        </h1>
+        <p>
+          {years.length > 0 &&
+            `${t("report.years", {
+              from: Math.min(...years),
+              to: Math.max(...years),
+            })} • `}
+          {t("report.generated", { date: formatDate(generatedAt) })}
+        </p>
+      </header>
+
+      <section>
+        <h2>{t("report.latest")}</h2>
+        <ul className="report-cards">
+          {cards.map((c) => (
+            <li key={c.key} className="report-card">
+              <span className="report-card-label">{c.label}</span>
+              <span className="report-card-value">
+                {formatValue(c.key, c.latestValue)}
+              </span>
+              <span className="report-card-meta">
+                {c.latestYear
+                  ? t("card.latestYear", { year: c.latestYear })
+                  : t("value.noData")}
+              </span>
+              {c.startYear && c.latestYear && c.change !== null && (
+                <span className="report-card-meta">
+                  {t("card.changeBetween", {
+                    from: c.startYear,
+                    to: c.latestYear,
+                    change: formatChange(c.key, c.change),
+                  })}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      {peer && (
+        <section>
+          <h2>{t("report.comparison", { name: peer.name })}</h2>
+          <table className="report-table">
+            <thead>
+              <tr>
+                <th scope="col">{t("report.indicator")}</th>
+                <th scope="col">{country.name}</th>
+                <th scope="col">{peer.name}</th>
+                <th scope="col">{t("report.difference")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cards.map((c) => {
+                const own = latestPoint(pointsFor(seriesByIndicator, c.key));
+                const other = latestPoint(
+                  pointsFor(peer.seriesByIndicator, c.key)
+                );
+                return (
+                  <tr key={c.key}>
+                    <th scope="row">{c.label}</th>
+                    <td className="numeric">
+                      {own
+                        ? `${formatValue(c.key, own.value)} (${own.year})`
+                        : t("value.noData")}
+                    </td>
+                    <td className="numeric">
+                      {other
+                        ? `${formatValue(c.key, other.value)} (${other.year})`
+                        : t("value.noData")}
+                    </td>
+                    <td className="numeric">
+                      {own && other
+                        ? formatChange(c.key, own.value - other.value)
+                        : "—"}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="report-note">{t("report.differenceNote")}</p>
+        </section>
+      )}
+
+      <section>
+        <h2>{t("report.trends")}</h2>
+        <ul className="report-legend">
+          <li>
+            <span
+              className="report-swatch"
+              style={{ borderColor: COUNTRY_COLOR }}
+              aria-hidden="true"
+            />
+            {country.name}
+          </li>
+          {peer && (
+            <li>
+              <span
+                className="report-swatch dashed"
+                style={{ borderColor: PEER_COLOR }}
+                aria-hidden="true"
+              />
+              {peer.name}
+            </li>
+          )}
+        </ul>
+        <ul className="report-charts">
+          {cards.map((c) => {
+            const rows = chartRows(
+              pointsFor(seriesByIndicator, c.key),
+              peer ? pointsFor(peer.seriesByIndicator, c.key) : []
+            );
+            return (
+              <li key={c.key} className="report-chart">
+                <h3>{c.label}</h3>
+                {rows.length === 0 ? (
+                  <p className="report-note">{t("value.noData")}</p>
+                ) : (
+                  <LineChart
+                    width={CHART_WIDTH}
+                    height={CHART_HEIGHT}
+                    data={rows}
+                    margin={{ top: 6, right: 8, left: 0, bottom: 0 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#cbd5e1" />
+                    <XAxis
+                      dataKey="year"
+                      tick={{ fontSize: 9 }}
+                      minTickGap={16}
+                    />
+                    <YAxis
+                      tick={{ fontSize: 9 }}
+                      width={44}
+                      domain={["auto", "auto"]}
+                      tickFormatter={(v) =>
+                        formatNumber(v, { notation: "compact" })
+                      }
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="country"
+                      stroke={COUNTRY_COLOR}
+                      strokeWidth={1.5}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                    {peer && (
+                      <Line
+                        type="monotone"
+                        dataKey="peer"
+                        stroke={PEER_COLOR}
+                        strokeWidth={1.5}
+                        strokeDasharray="4 3"
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                    )}
+                  </LineChart>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </section>
+
+      <section>
+        <h2>{t("report.sources")}</h2>
+        <ul className="report-sources">
+          {metadata.indicators.map((i) => (
+            <li key={i.id}>
+              {i.label} ({i.id})
+              {i.source && ` — ${i.source}`}
+              {i.url && (
+                <>
+                  {" "}
+                  <a href={i.url}>{i.url}</a>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+        <p className="report-note">
+          {metadata.retrievedAt
+            ? t("report.retrieved", {
+                date: formatDate(Date.parse(metadata.retrievedAt)),
+              })
+            : t("report.retrievedUnknown")}
+        </p>
+        <p className="report-note">{metadata.citation}</p>
+      </section>
+    </article>
+  );
+}
+
+export default CountryReport;
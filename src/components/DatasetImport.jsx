@@ -0,0 +1,226 @@
+import { useMemo, useState } from "react";
+import { useI18n } from "../hooks/useI18n";
+import { TranslatableError } from "../lib/i18n";
+import {
+  MAX_FILE_BYTES,
+  guessColumnMapping,
+  parseDatasetFile,
+  validateRecords,
+} from "../lib/userDatasets";
+import { createId } from "../lib/storage";
+
+const MAX_ERRORS_SHOWN = 20;
+
+// Drag-and-drop import of a CSV/JSON year/value file, with column mapping
+// and per-row validation before the dataset is added to the chart.
+function DatasetImport({ indicators, defaultIndicatorKey, onImport, onClose }) {
+  const { t, errorMessage } = useI18n();
+  const [dragOver, setDragOver] = useState(false);
+  const [fileName, setFileName] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [mapping, setMapping] = useState({ year: "", value: "" });
+  const [name, setName] = useState("");
+  const [indicatorKey, setIndicatorKey] = useState(defaultIndicatorKey);
+
+  const validation = useMemo(
+    () => (parsed ? validateRecords(parsed.records, mapping) : null),
+    [mapping, parsed]
+  );
+
+  async function readFile(file) {
+    setFileError(null);
+    setParsed(null);
+    setFileName(file.name);
+    if (!/\.(csv|json)$/i.test(file.name)) {
+      setFileError(new TranslatableError("import.wrongType"));
+      return;
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      setFileError(
+        new TranslatableError("import.tooLarge", {
+          size: MAX_FILE_BYTES / (1024 * 1024),
+        })
+      );
+      return;
+    }
+    try {
+      const result = parseDatasetFile(await file.text(), file.name);
+      setParsed(result);
+      setMapping(guessColumnMapping(result.columns));
+      setName(file.name.replace(/\.(csv|json)$/i, ""));
+    } catch (err) {
+      setFileError(err);
+    }
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) readFile(file);
+  }
+
+  function handleImport() {
+    if (!validation?.points.length) return;
+    onImport({
+      id: createId(),
+      name: name.trim() || fileName,
+      fileName,
+      indicatorKey,
+      importedAt: Date.now(),
+      visible: true,
+      points: validation.points,
+    });
+    setParsed(null);
+    setFileName(null);
+  }
+
+  return (
+    <div className="dashboard-section">
+      <div className="section-header">
+        <h2>{t("import.title")}</h2>
+        <button className="btn btn-small" onClick={onClose}>
+          {t("common.close")}
+        </button>
+      </div>
+
+      <label
+        className={dragOver ? "dropzone drag-over" : "dropzone"}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          className="visually-hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) readFile(file);
+            e.target.value = "";
+          }}
+        />
+        <span>
+          {t("import.drop")} <u>{t("import.chooseFile")}</u>.
+        </span>
+        <span className="hint-text">{t("import.hint")}</span>
+      </label>
+
+      {fileError && (
+        <p className="placeholder error-placeholder">
+          {fileName}: {errorMessage(fileError)}
+        </p>
+      )}
+
+      {parsed && validation && (
+        <div className="import-form">
+          <div className="import-fields">
+            <label>
+              <span className="hint-text">{t("import.name")}</span>
+              <input
+                type="text"
+                className="text-input"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </label>
+            <label>
+              <span className="hint-text">{t("import.yearColumn")}</span>
+              <select
+                className="text-input"
+                value={mapping.year}
+                onChange={(e) =>
+                  setMapping((prev) => ({ ...prev, year: e.target.value }))
+                }
+              >
+                {parsed.columns.map((col) => (
+                  <option key={col} value={col}>
+                    {col}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span className="hint-text">{t("import.valueColumn")}</span>
+              <select
+                className="text-input"
+                value={mapping.value}
+                onChange={(e) =>
+                  setMapping((prev) => ({ ...prev, value: e.target.value }))
+                }
+              >
+                {parsed.columns.map((col) => (
+                  <option key={col} value={col}>
+                    {col}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span className="hint-text">{t("import.metric")}</span>
+              <select
+                className="text-input"
+                value={indicatorKey}
+                onChange={(e) => setIndicatorKey(e.target.value)}
+              >
+                {Object.entries(indicators).map(([key, meta]) => (
+                  <option key={key} value={key}>
+                    {meta.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <p className="hint-text">
+            {t(
+              validation.errors.length > 0
+                ? "import.summaryRejected"
+                : "import.summary",
+              {
+                file: fileName,
+                valid: validation.points.length,
+                total: parsed.records.length,
+                rejected: validation.errors.length,
+              }
+            )}
+          </p>
+
+          {validation.errors.length > 0 && (
+            <ul className="import-errors">
+              {validation.errors.slice(0, MAX_ERRORS_SHOWN).map((err) => (
+                <li key={err.row}>
+                  {t("import.row", {
+                    row: err.row,
+                    message: t(err.key, err.params),
+                  })}
+                </li>
+              ))}
+              {validation.errors.length > MAX_ERRORS_SHOWN && (
+                <li>
+                  {t("import.more", {
+                    count: validation.errors.length - MAX_ERRORS_SHOWN,
+                  })}
+                </li>
+              )}
+            </ul>
+          )}
+
+          <button
+            className="btn btn-small"
+            onClick={handleImport}
+            disabled={validation.points.length === 0}
+          >
+            {t("import.submit", { count: validation.points.length })}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DatasetImport;
@@ -0,0 +1,187 @@
+import { useEffect, useMemo, useState } from "react";
+import { useI18n } from "../hooks/useI18n";
+import { isAbortError } from "../lib/request";
+
+const HEALTH_TOPIC_ID = "8";
+const MAX_RESULTS = 50;
+
+// Searchable list of provider indicators that can be added to the dashboard.
+// `addingIds` are indicators still being added, whose buttons are disabled.
+function IndicatorCatalog({
+  provider,
+  indicators,
+  addingIds = [],
+  onAdd,
+  onRemove,
+  onClose,
+}) {
+  const { t, language } = useI18n();
+  const [topics, setTopics] = useState([]);
+  const [topicId, setTopicId] = useState(HEALTH_TOPIC_ID);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(false);
+  const [query, setQuery] = useState("");
+
+  // Topic list for the filter dropdown
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function run() {
+      try {
+        const list = await provider.listTopics({
+          signal: controller.signal,
+          language,
+        });
+        setTopics(list);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+      }
+    }
+
+    run();
+    return () => controller.abort();
+  }, [language, provider]);
+
+  // Indicators in the selected topic
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function run() {
+      setLoading(true);
+      setError(false);
+      try {
+        const list = await provider.listIndicators({
+          topicId: topicId || undefined,
+          signal: controller.signal,
+          language,
+        });
+        setCatalog(list);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+        setError(true);
+        setCatalog([]);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    run();
+    return () => controller.abort();
+  }, [language, provider, topicId]);
+
+  const addedById = useMemo(() => {
+    const map = new Map();
+    for (const [key, meta] of Object.entries(indicators)) map.set(meta.id, key);
+    return map;
+  }, [indicators]);
+
+  const matches = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    if (!q) return catalog;
+    return catalog.filter(
+      (i) => i.name.toLowerCase().includes(q) || i.id.toLowerCase().includes(q)
+    );
+  }, [catalog, query]);
+
+  const results = matches.slice(0, MAX_RESULTS);
+
+  return (
+    <div className="dashboard-section">
+      <div className="section-header">
+        <h2>{t("catalog.title")}</h2>
+        <button className="btn btn-small" onClick={onClose}>
+          {t("common.close")}
+        </button>
+      </div>
+
+      <div className="catalog-controls">
+        <input
+          type="search"
+          className="text-input"
+          placeholder={t("catalog.search")}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          aria-label={t("catalog.searchLabel")}
+        />
+        <select
+          className="text-input"
+          value={topicId}
+          onChange={(e) => setTopicId(e.target.value)}
+          aria-label={t("catalog.topic")}
+        >
+          {topics.length === 0 && (
+            <option value={HEALTH_TOPIC_ID}>{t("catalog.health")}</option>
+          )}
+          {topics.map((topic) => (
+            <option key={topic.id} value={topic.id}>
+              {topic.value}
+            </option>
+          ))}
+          <option value="">{t("catalog.allTopics")}</option>
+        </select>
+      </div>
+
+      {loading && <p className="placeholder">{t("catalog.loading")}</p>}
+
+      {error && !loading && (
+        <p className="placeholder error-placeholder">
+          {t("catalog.loadError")}
+        </p>
+      )}
+
+      {!loading && !error && (
+        <>
+          <p className="hint-text">
+            {matches.length > results.length
+              ? t("catalog.showing", {
+                  shown: results.length,
+                  total: matches.length,
+                })
+              : t("catalog.count", { count: matches.length })}
+          </p>
+          <ul className="catalog-list">
+            {results.map((indicator) => {
+              const addedKey = addedById.get(indicator.id);
+              const isCustom = addedKey && indicators[addedKey].custom;
+              return (
+                <li key={indicator.id} className="catalog-item">
+                  <div className="catalog-text">
+                    <span className="catalog-name">{indicator.name}</span>
+                    <span className="hint-text">
+                      {indicator.id} • {indicator.source}
+                    </span>
+                  </div>
+                  {!addedKey && (
+                    <button
+                      className="btn btn-small"
+                      onClick={() => onAdd(indicator)}
+                      disabled={addingIds.includes(indicator.id)}
+                    >
+                      {t("catalog.add")}
+                    </button>
+                  )}
+                  {isCustom && (
+                    <button
+                      className="btn btn-small"
+                      onClick={() => onRemove(addedKey)}
+                    >
+                      {t("catalog.remove")}
+                    </button>
+                  )}
+                  {addedKey && !isCustom && (
+                    <span className="hint-text">{t("catalog.builtIn")}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default IndicatorCatalog;
@@ -0,0 +1,52 @@
+import { useI18n } from "../hooks/useI18n";
+
+// Generated findings for the primary country. Each one can be opened in the
+// chart and shows the values it was computed from.
+function InsightsPanel({ insights, loading, onSelectMetric }) {
+  const { t } = useI18n();
+
+  if (insights.length === 0) {
+    return (
+      <p className="placeholder">
+        {loading ? t("insights.loading") : t("insights.empty")}
+      </p>
+    );
+  }
+
+  return (
+    <ul className="insight-list">
+      {insights.map((insight) => (
+        <li key={insight.id} className={`insight insight-${insight.tone}`}>
+          <span
+            className="insight-marker"
+            title={t(`insights.${insight.tone}`)}
+            aria-label={t(`insights.${insight.tone}`)}
+            role="img"
+          />
+          <div>
+            <button
+              className="link-button insight-text"
+              onClick={() => onSelectMetric(insight.indicatorKey)}
+              title={t("insights.showInChart")}
+            >
+              {insight.text}
+            </button>
+            <details className="insight-evidence">
+              <summary>{t("insights.dataUsed")}</summary>
+              <dl>
+                {insight.evidence.map((e) => (
+                  <div key={e.label}>
+                    <dt>{e.label}</dt>
+                    <dd>{e.value}</dd>
+                  </div>
+                ))}
+              </dl>
+            </details>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default InsightsPanel;
@@ -0,0 +1,207 @@
+import { useMemo, useState } from "react";
+import { useI18n } from "../hooks/useI18n";
+import {
+  defaultRankingYear,
+  ordinal,
+  rankValues,
+  valuesForYear,
+} from "../lib/rankings";
+import { unionYears } from "../lib/series";
+
+const COLUMNS = [
+  { key: "rank", labelKey: "rankings.rank" },
+  { key: "name", labelKey: "rankings.country" },
+  { key: "region", labelKey: "rankings.region" },
+  { key: "value", labelKey: "rankings.value" },
+  { key: "percentile", labelKey: "rankings.percentile" },
+];
+
+function compareRows(a, b, key, locale) {
+  if (key === "name" || key === "region") {
+    return a[key].localeCompare(b[key], locale);
+  }
+  return a[key] - b[key];
+}
+
+// Sortable, searchable table ranking every country on one indicator.
+function RankingsTable({
+  seriesByCountry,
+  loading,
+  error,
+  indicator,
+  countries,
+  selectedCode,
+  onSelectCountry,
+}) {
+  const { t, locale, errorMessage } = useI18n();
+  const [year, setYear] = useState(null);
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState({ key: "rank", dir: "asc" });
+
+  const countryCodes = useMemo(() => countries.map((c) => c.id), [countries]);
+  const countryById = useMemo(
+    () => new Map(countries.map((c) => [c.id, c])),
+    [countries]
+  );
+
+  const years = useMemo(
+    () =>
+      unionYears(countryCodes.map((code) => seriesByCountry[code] || [])).reverse(),
+    [countryCodes, seriesByCountry]
+  );
+  const activeYear = year ?? defaultRankingYear(seriesByCountry, countryCodes);
+
+  const ranked = useMemo(() => {
+    if (!activeYear) return [];
+    const entries = valuesForYear(seriesByCountry, activeYear, countryCodes);
+    return rankValues(entries, {
+      higherIsBetter: indicator.higherIsBetter,
+    }).map((row) => {
+      const country = countryById.get(row.code);
+      return {
+        ...row,
+        name: country?.name ?? row.code,
+        region: country?.region?.value.trim() ?? "",
+      };
+    });
+  }, [activeYear, countryById, countryCodes, indicator, seriesByCountry]);
+
+  const rows = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const filtered = q
+      ? ranked.filter(
+          (r) =>
+            r.name.toLowerCase().includes(q) ||
+            r.code.toLowerCase().includes(q) ||
+            r.region.toLowerCase().includes(q)
+        )
+      : ranked;
+    const sign = sort.dir === "asc" ? 1 : -1;
+    return [...filtered].sort(
+      (a, b) => sign * compareRows(a, b, sort.key, locale)
+    );
+  }, [locale, query, ranked, sort]);
+
+  function handleSort(key) {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, dir: prev.dir === "asc" ? "desc" : "asc" }
+        : { key, dir: "asc" }
+    );
+  }
+
+  if (loading && ranked.length === 0) {
+    return <p className="placeholder">{t("rankings.loading")}</p>;
+  }
+  if (error && ranked.length === 0) {
+    return (
+      <p className="placeholder error-placeholder">{errorMessage(error)}</p>
+    );
+  }
+  if (ranked.length === 0) {
+    return <p className="placeholder">{t("common.noCountryData")}</p>;
+  }
+
+  const format = indicator.chartValueFormatter;
+
+  return (
+    <div className="rankings">
+      <div className="rankings-controls">
+        <input
+          type="search"
+          className="text-input"
+          placeholder={t("rankings.search")}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          aria-label={t("rankings.searchLabel")}
+        />
+        <select
+          className="text-input rankings-year"
+          value={activeYear ?? ""}
+          onChange={(e) => setYear(Number(e.target.value))}
+          aria-label={t("rankings.year")}
+        >
+          {years.map((y) => (
+            <option key={y} value={y}>
+              {y}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <p className="hint-text">
+        {t(
+          indicator.higherIsBetter
+            ? "rankings.summaryHighest"
+            : "rankings.summaryLowest",
+          {
+            label: indicator.label,
+            year: activeYear,
+            count: ranked.length,
+          }
+        )}
+      </p>
+
+      <div className="table-scroll">
+        <table className="data-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((col) => (
+                <th
+                  key={col.key}
+                  scope="col"
+                  aria-sort={
+                    sort.key === col.key
+                      ? sort.dir === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : "none"
+                  }
+                >
+                  <button
+                    type="button"
+                    className="th-button"
+                    onClick={() => handleSort(col.key)}
+                  >
+                    {t(col.labelKey)}
+                    {sort.key === col.key && (sort.dir === "asc" ? " ▲" : " ▼")}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr
+                key={row.code}
+                className={row.code === selectedCode ? "selected-row" : undefined}
+                aria-current={row.code === selectedCode ? "true" : undefined}
+              >
+                <td>{row.rank}</td>
+                <td>
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => onSelectCountry(row.code)}
+                  >
+                    {row.name}
+                  </button>
+                </td>
+                <td>{row.region}</td>
+                <td className="numeric">{format(row.value)}</td>
+                <td className="numeric">
+                  {t("rankings.percentileValue", {
+                    ordinal: ordinal(row.percentile),
+                    n: row.percentile,
+                  })}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default RankingsTable;
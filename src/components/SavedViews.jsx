@@ -0,0 +1,120 @@
+import { useState } from "react";
+import { useI18n } from "../hooks/useI18n";
+import { parseViewsFile } from "../lib/savedViews";
+
+// Saved views for the Filters panel: save the current view by name, open or
+// remove saved ones, and share them as a JSON file.
+function SavedViews({
+  views,
+  activeViewId,
+  defaultName,
+  saveFailed,
+  onSave,
+  onApply,
+  onRemove,
+  onImport,
+  onExport,
+}) {
+  const { t, errorMessage } = useI18n();
+  const [name, setName] = useState("");
+  // The last import: { count }, or { file, error } when it failed
+  const [importResult, setImportResult] = useState(null);
+
+  function handleSave(e) {
+    e.preventDefault();
+    onSave(name.trim() || defaultName);
+    setName("");
+  }
+
+  async function handleFile(file) {
+    try {
+      const imported = parseViewsFile(await file.text(), {
+        defaultName: t("views.untitled"),
+      });
+      onImport(imported);
+      setImportResult({ count: imported.length });
+    } catch (err) {
+      setImportResult({ file: file.name, error: err });
+    }
+  }
+
+  return (
+    <>
+      {views.length > 0 && (
+        <ul className="dataset-list saved-views">
+          {views.map((v) => (
+            <li
+              key={v.id}
+              className={v.id === activeViewId ? "active-view" : undefined}
+            >
+              <button
+                className="link-button"
+                onClick={() => onApply(v)}
+                aria-current={v.id === activeViewId ? "true" : undefined}
+                title={t("views.open")}
+              >
+                {v.name}
+              </button>
+              <button
+                className="chip-remove"
+                onClick={() => onRemove(v.id)}
+                aria-label={t("common.remove", { name: v.name })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="saved-view-form" onSubmit={handleSave}>
+        <input
+          type="text"
+          className="text-input"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={defaultName}
+          aria-label={t("views.name")}
+        />
+        <button type="submit" className="btn btn-small">
+          {t("views.save")}
+        </button>
+      </form>
+
+      <div className="saved-view-actions">
+        <button
+          className="btn btn-small"
+          onClick={onExport}
+          disabled={views.length === 0}
+        >
+          {t("views.export")}
+        </button>
+        <label className="btn btn-small">
+          {t("views.import")}
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="visually-hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) handleFile(file);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+
+      <span className="hint-text">
+        {saveFailed
+          ? t("views.storageFull")
+          : importResult?.error
+            ? `${importResult.file}: ${errorMessage(importResult.error)}`
+            : importResult
+              ? t("views.imported", { count: importResult.count })
+              : t("views.hint")}
+      </span>
+    </>
+  );
+}
+
+export default SavedViews;
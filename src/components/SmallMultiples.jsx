@@ -0,0 +1,147 @@
+import { useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import { useI18n } from "../hooks/useI18n";
+import { clipSeries } from "../lib/series";
+
+// Hovering a year in one chart moves the cursor and tooltip in the others
+const SYNC_ID = "overview";
+
+// Rows of { year, [seriesKey]: value } for one indicator
+function mergeRows(series, indicatorKey, yearRange) {
+  const byYear = new Map();
+  for (const s of series) {
+    const points = clipSeries(
+      s.seriesByIndicator[indicatorKey] || [],
+      yearRange
+    );
+    for (const p of points) {
+      if (!byYear.has(p.year)) byYear.set(p.year, { year: p.year });
+      byYear.get(p.year)[s.key] = p.value;
+    }
+  }
+  return Array.from(byYear.values())
+    .sort((a, b) => a.year - b.year)
+    .map((row) => {
+      for (const s of series) row[s.key] ??= null;
+      return row;
+    });
+}
+
+// Every indicator as a small chart, synchronised on the hovered year.
+// `series` ([{ key, name, color, seriesByIndicator }]) are the primary and
+// compared countries; a chart's title opens that metric in the trend chart.
+function SmallMultiples({ indicators, series, yearRange, onSelectMetric }) {
+  const { t, formatNumber } = useI18n();
+  const keys = Object.keys(indicators);
+
+  const rowsByKey = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.keys(indicators).map((key) => [
+          key,
+          mergeRows(series, key, yearRange),
+        ])
+      ),
+    [indicators, series, yearRange]
+  );
+
+  const compactTick = (v) => formatNumber(v, { notation: "compact" });
+
+  return (
+    <>
+      {series.length > 1 && (
+        <ul className="small-multiples-legend">
+          {series.map((s) => (
+            <li key={s.key}>
+              <span
+                className="chip-swatch"
+                style={{ background: s.color }}
+                aria-hidden="true"
+              />
+              {s.name}
+            </li>
+          ))}
+        </ul>
+      )}
+      <ul className="small-multiples">
+        {keys.map((key) => {
+          const meta = indicators[key];
+          const rows = rowsByKey[key];
+          return (
+            <li key={key} className="small-multiple">
+              <button
+                type="button"
+                className="link-button small-multiple-title"
+                onClick={() => onSelectMetric(key)}
+                title={t("overview.open")}
+              >
+                {meta.label}
+              </button>
+              {rows.length === 0 ? (
+                <p className="hint-text">{t("value.noData")}</p>
+              ) : (
+                <div className="small-multiple-chart">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart
+                      data={rows}
+                      syncId={SYNC_ID}
+                      syncMethod="value"
+                      margin={{ top: 6, right: 8, left: 0, bottom: 0 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" opacity={0.2} />
+                      <XAxis
+                        dataKey="year"
+                        tick={{ fontSize: 9 }}
+                        minTickGap={16}
+                      />
+                      <YAxis
+                        tick={{ fontSize: 9 }}
+                        width={40}
+                        domain={["auto", "auto"]}
+                        tickFormatter={compactTick}
+                      />
+                      <Tooltip
+                        formatter={(value) =>
+                          value === null
+                            ? t("value.noData")
+                            : meta.chartValueFormatter(value)
+                        }
+                        labelFormatter={(label) =>
+                          t("chart.tooltipYear", { year: label })
+                        }
+                        wrapperStyle={{ fontSize: 11 }}
+                      />
+                      {series.map((s) => (
+                        <Line
+                          key={s.key}
+                          type="monotone"
+                          dataKey={s.key}
+                          name={s.name}
+                          stroke={s.color}
+                          strokeWidth={1.5}
+                          dot={false}
+                          activeDot={{ r: 3 }}
+                          isAnimationActive={false}
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </>
+  );
+}
+
+export default SmallMultiples;
@@ -0,0 +1,94 @@
+import { useI18n } from "../hooks/useI18n";
+import { formatIndicatorChange } from "../lib/format";
+
+// Per-series trend statistics for the visible year window.
+function TrendStatsTable({ series, indicator }) {
+  const { t, locale, formatNumber } = useI18n();
+  const { format } = indicator;
+  const notAvailable = t("value.notAvailable");
+  const formatChange = (change) =>
+    formatIndicatorChange(format, change, locale);
+
+  function formatPercent(fraction) {
+    if (fraction === null || fraction === undefined) return notAvailable;
+    return formatNumber(fraction, {
+      style: "percent",
+      signDisplay: "always",
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  }
+
+  function formatDecade(decade) {
+    if (!decade) return notAvailable;
+    return t("stats.decade", {
+      decade: decade.decade,
+      change: formatChange(decade.change),
+    });
+  }
+
+  return (
+    <div className="table-scroll">
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th scope="col">{t("stats.series")}</th>
+            <th scope="col" title={t("stats.cagrTitle")}>
+              {t("stats.cagr")}
+            </th>
+            <th scope="col" title={t("stats.slopeTitle")}>
+              {t("stats.slope")}
+            </th>
+            <th scope="col">{t("stats.averageYoY")}</th>
+            <th scope="col">{t("stats.latestYoY")}</th>
+            <th scope="col">{t("stats.bestDecade")}</th>
+            <th scope="col">{t("stats.worstDecade")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {series.map((s) => (
+            <tr key={s.key}>
+              <td>
+                <span
+                  className="chip-swatch"
+                  style={{ background: s.color }}
+                  aria-hidden="true"
+                />{" "}
+                {s.name}
+              </td>
+              <td className="numeric">{formatPercent(s.stats.cagr)}</td>
+              <td className="numeric">
+                {formatChange(s.stats.trendSlope)}
+                {s.stats.trendR2 !== null && (
+                  <span className="hint-text">
+                    {" "}
+                    (R²{" "}
+                    {formatNumber(s.stats.trendR2, {
+                      minimumFractionDigits: 2,
+                      maximumFractionDigits: 2,
+                    })}
+                    )
+                  </span>
+                )}
+              </td>
+              <td className="numeric">
+                {formatChange(s.stats.averageYoY)}
+              </td>
+              <td className="numeric">
+                {s.stats.latestYoY
+                  ? `${formatChange(s.stats.latestYoY.change)} (${
+                      s.stats.latestYoY.year
+                    })`
+                  : notAvailable}
+              </td>
+              <td>{formatDecade(s.stats.bestDecade)}</td>
+              <td>{formatDecade(s.stats.worstDecade)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default TrendStatsTable;
@@ -0,0 +1,233 @@
+import { useEffect, useMemo, useState } from "react";
+import { geoEqualEarth, geoPath } from "d3-geo";
+import { feature } from "topojson-client";
+import world from "world-atlas/countries-110m.json";
+import isoNumericToAlpha3 from "../data/isoNumericToAlpha3.json";
+import { useI18n } from "../hooks/useI18n";
+import {
+  SEQUENTIAL_COLORS,
+  classify,
+  legendClasses,
+  linearBreaks,
+  quantileBreaks,
+} from "../lib/scales";
+import { unionYears } from "../lib/series";
+
+const WIDTH = 960;
+const HEIGHT = 470;
+const ANTARCTICA = "010";
+const NO_DATA_COLOR = "rgba(148, 163, 184, 0.18)";
+const PLAY_INTERVAL_MS = 600;
+
+// Shapes without an ISO numeric code in Natural Earth
+const NAME_TO_ALPHA3 = { Kosovo: "XKX" };
+
+// Country outlines are static, so project them once at load
+const COUNTRY_SHAPES = (() => {
+  const collection = feature(world, world.objects.countries);
+  const features = collection.features.filter((f) => f.id !== ANTARCTICA);
+  const projection = geoEqualEarth().fitSize([WIDTH, HEIGHT], {
+    type: "FeatureCollection",
+    features,
+  });
+  const path = geoPath(projection);
+
+  return features.map((f, i) => ({
+    key: f.id ?? `shape-${i}`,
+    code: isoNumericToAlpha3[f.id] ?? NAME_TO_ALPHA3[f.properties.name] ?? null,
+    name: f.properties.name,
+    d: path(f),
+  }));
+})();
+
+// Value for a given year, or the latest available when year is null
+function valueAt(points, year) {
+  if (!points || points.length === 0) return null;
+  if (year == null) return points[points.length - 1];
+  return points.find((p) => p.year === year) ?? null;
+}
+
+// Choropleth of one indicator across all countries.
+function WorldMap({
+  seriesByCountry,
+  loading,
+  error,
+  indicator,
+  countryNameFor,
+  selectedCode,
+  selectableCodes,
+  onSelectCountry,
+}) {
+  const { t, errorMessage } = useI18n();
+  const [year, setYear] = useState(null);
+  const [scaleType, setScaleType] = useState("quantile");
+  const [playing, setPlaying] = useState(false);
+  const [hovered, setHovered] = useState(null);
+
+  const years = useMemo(
+    () => unionYears(Object.values(seriesByCountry)),
+    [seriesByCountry]
+  );
+  const minYear = years[0];
+  const maxYear = years[years.length - 1];
+
+  // Step through the years while playing, stopping at the last one
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setTimeout(() => {
+      const next = year == null || year >= maxYear ? minYear : year + 1;
+      setYear(next);
+      if (next >= maxYear) setPlaying(false);
+    }, PLAY_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [maxYear, minYear, playing, year]);
+
+  // Only map shapes (real countries) feed the scale, not aggregates
+  const valuesByCode = useMemo(() => {
+    const map = new Map();
+    for (const shape of COUNTRY_SHAPES) {
+      if (!shape.code) continue;
+      const point = valueAt(seriesByCountry[shape.code], year);
+      if (point) map.set(shape.code, point);
+    }
+    return map;
+  }, [seriesByCountry, year]);
+
+  const breaks = useMemo(() => {
+    const values = Array.from(valuesByCode.values(), (p) => p.value);
+    const classes = SEQUENTIAL_COLORS.length;
+    return scaleType === "quantile"
+      ? quantileBreaks(values, classes)
+      : linearBreaks(values, classes);
+  }, [scaleType, valuesByCode]);
+
+  const legend = legendClasses(breaks, SEQUENTIAL_COLORS);
+  const format = indicator.chartValueFormatter;
+
+  if (loading && years.length === 0) {
+    return <p className="placeholder">{t("map.loadingData")}</p>;
+  }
+  if (error && years.length === 0) {
+    return (
+      <p className="placeholder error-placeholder">{errorMessage(error)}</p>
+    );
+  }
+  if (years.length === 0) {
+    return <p className="placeholder">{t("common.noCountryData")}</p>;
+  }
+
+  return (
+    <div className="world-map">
+      <div className="map-controls">
+        <button
+          className="btn btn-small"
+          onClick={() => setPlaying((p) => !p)}
+          aria-pressed={playing}
+        >
+          {playing ? t("map.pause") : t("map.play")}
+        </button>
+        <input
+          type="range"
+          className="map-slider"
+          min={minYear}
+          max={maxYear}
+          value={year ?? maxYear}
+          onChange={(e) => {
+            setPlaying(false);
+            setYear(Number(e.target.value));
+          }}
+          aria-label={t("map.year")}
+        />
+        <span className="map-year">{year ?? t("map.latest")}</span>
+        <button
+          className="btn btn-small"
+          onClick={() => {
+            setPlaying(false);
+            setYear(null);
+          }}
+          disabled={year == null}
+        >
+          {t("map.latest")}
+        </button>
+        <select
+          className="text-input map-scale"
+          value={scaleType}
+          onChange={(e) => setScaleType(e.target.value)}
+          aria-label={t("map.colourScale")}
+        >
+          <option value="quantile">{t("map.quantileScale")}</option>
+          <option value="linear">{t("map.linearScale")}</option>
+        </select>
+      </div>
+
+      <p className="hint-text map-caption">
+        {hovered
+          ? `${hovered.name}: ${
+              hovered.point
+                ? `${format(hovered.point.value)} (${hovered.point.year})`
+                : t("value.noData")
+            }`
+          : t("map.caption", {
+              label: indicator.label,
+              year: year ?? t("map.latestYear"),
+            })}
+      </p>
+
+      <svg
+        className="map-svg"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={t("map.ariaLabel", { label: indicator.label })}
+      >
+        {COUNTRY_SHAPES.map((shape) => {
+          const point = shape.code ? valuesByCode.get(shape.code) : null;
+          const fill = point
+            ? SEQUENTIAL_COLORS[classify(point.value, breaks)]
+            : NO_DATA_COLOR;
+          const selectable = shape.code && selectableCodes.has(shape.code);
+          const name = shape.code ? countryNameFor(shape.code) : shape.name;
+
+          return (
+            <path
+              key={shape.key}
+              d={shape.d}
+              fill={fill}
+              className={[
+                "map-country",
+                selectable ? "selectable" : "",
+                shape.code === selectedCode ? "selected" : "",
+              ].join(" ")}
+              onMouseEnter={() => setHovered({ name, point })}
+              onMouseLeave={() => setHovered(null)}
+              onClick={() => selectable && onSelectCountry(shape.code)}
+            >
+              <title>
+                {point ? `${name}: ${format(point.value)} (${point.year})` : name}
+              </title>
+            </path>
+          );
+        })}
+      </svg>
+
+      <ul className="map-legend" aria-label={t("map.legend")}>
+        {breaks.length > 0 &&
+          legend.map((cls) => (
+            <li key={cls.color}>
+              <span className="legend-swatch" style={{ background: cls.color }} />
+              {cls.from == null
+                ? `< ${format(cls.to)}`
+                : cls.to == null
+                  ? `≥ ${format(cls.from)}`
+                  : `${format(cls.from)} – ${format(cls.to)}`}
+            </li>
+          ))}
+        <li>
+          <span className="legend-swatch" style={{ background: NO_DATA_COLOR }} />
+          {t("value.noData")}
+        </li>
+      </ul>
+    </div>
+  );
+}
+
+export default WorldMap;
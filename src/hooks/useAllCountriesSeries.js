@@ -0,0 +1,58 @@
+import { useEffect, useState } from "react";
+import { loadAllCountries, readAllCountries } from "../lib/allCountries";
+import { TranslatableError } from "../lib/i18n";
+import { isFresh } from "../lib/indicatorCache";
+import { isAbortError } from "../lib/request";
+
+// One indicator for every country: { ISO3: [{ year, value }] }.
+// Shares the persistent cache (stale-while-revalidate) with per-country data.
+// `error` is a TranslatableError.
+export function useAllCountriesSeries(provider, indicatorId) {
+  const [seriesByCountry, setSeriesByCountry] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [asOf, setAsOf] = useState(null);
+
+  useEffect(() => {
+    if (!indicatorId) return;
+    const controller = new AbortController();
+
+    async function run() {
+      setError(null);
+
+      const cached = readAllCountries(provider, indicatorId);
+      if (cached) {
+        setSeriesByCountry(cached.data);
+        setAsOf(cached.cachedAt);
+        if (isFresh(cached)) {
+          setLoading(false);
+          return;
+        }
+      } else {
+        setSeriesByCountry({});
+        setLoading(true);
+      }
+
+      try {
+        const entry = await loadAllCountries(provider, indicatorId, {
+          signal: controller.signal,
+        });
+        setSeriesByCountry(entry.data);
+        setAsOf(entry.cachedAt);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+        if (!cached) {
+          setError(new TranslatableError("common.allCountriesError"));
+        }
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    run();
+    return () => controller.abort();
+  }, [indicatorId, provider]);
+
+  return { seriesByCountry, loading, error, asOf };
+}
@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+import { TranslatableError } from "../lib/i18n";
+import {
+  isFresh,
+  readCachedIndicators,
+  writeCachedIndicators,
+} from "../lib/indicatorCache";
+import { dedupeRequest, isAbortError } from "../lib/request";
+
+function cacheKeyFor(provider, code, indicatorId) {
+  return `${provider.id}:${code}:${indicatorId}`;
+}
+
+function loadCountrySeries(provider, code, indicatorId, { signal }) {
+  const cacheKey = cacheKeyFor(provider, code, indicatorId);
+  return dedupeRequest(
+    cacheKey,
+    async (sharedSignal) => {
+      const data = await provider.fetchSeries(code, indicatorId, {
+        signal: sharedSignal,
+      });
+      return writeCachedIndicators(cacheKey, data);
+    },
+    signal
+  );
+}
+
+// One extra indicator for a few countries, e.g. a deflator or the PPP
+// variant of the chart metric: { CODE: [{ year, value }] }. Each country is
+// cached on its own (stale-while-revalidate). A null `indicatorId` loads
+// nothing. `error` is a TranslatableError.
+export function useCountriesSeries(provider, indicatorId, codes) {
+  const [seriesByCountry, setSeriesByCountry] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // A string key keeps the effect from re-running for equal code lists
+  const codeKey = codes.join(",");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const list = codeKey.split(",");
+
+    async function run() {
+      setError(null);
+      // Also clears the flag left by a run aborted before it finished
+      if (!indicatorId || !codeKey) {
+        setLoading(false);
+        return;
+      }
+      const cachedFor = (code) =>
+        readCachedIndicators(cacheKeyFor(provider, code, indicatorId));
+      const initial = {};
+      for (const code of list) {
+        const cached = cachedFor(code);
+        if (cached) initial[code] = cached.data;
+      }
+      setSeriesByCountry(initial);
+
+      const toLoad = list.filter((code) => !isFresh(cachedFor(code)));
+      if (toLoad.length === 0) {
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      await Promise.all(
+        toLoad.map(async (code) => {
+          try {
+            const entry = await loadCountrySeries(provider, code, indicatorId, {
+              signal: controller.signal,
+            });
+            setSeriesByCountry((prev) => ({ ...prev, [code]: entry.data }));
+          } catch (err) {
+            if (isAbortError(err)) return;
+            console.error(err);
+            if (!initial[code]) {
+              setError(
+                new TranslatableError("common.indicatorError", {
+                  id: indicatorId,
+                })
+              );
+            }
+          }
+        })
+      );
+      if (!controller.signal.aborted) setLoading(false);
+    }
+
+    run();
+    return () => controller.abort();
+  }, [codeKey, indicatorId, provider]);
+
+  return { seriesByCountry, loading, error };
+}
@@ -0,0 +1,10 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_LANGUAGE, createI18n } from "../lib/i18n";
+
+// The interface language's messages and formatters (see createI18n). App
+// provides the value; English is used outside a provider.
+export const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
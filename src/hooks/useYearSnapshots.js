@@ -0,0 +1,60 @@
+import { useEffect, useState } from "react";
+import { loadAllCountries, readAllCountries } from "../lib/allCountries";
+import { isFresh } from "../lib/indicatorCache";
+import { isAbortError } from "../lib/request";
+
+export function snapshotKey(indicatorId, year) {
+  return `${indicatorId}|${year}`;
+}
+
+// Every country's value for several (indicator, year) pairs, e.g. to rank the
+// primary country on each metric card. Returns { "ID|YEAR": { ISO3: points } }.
+export function useYearSnapshots(provider, requests) {
+  const [snapshots, setSnapshots] = useState({});
+
+  // A string key keeps the effect from re-running for equal request lists
+  const requestKey = requests
+    .filter((r) => r.indicatorId && r.year)
+    .map((r) => snapshotKey(r.indicatorId, r.year))
+    .join(",");
+
+  useEffect(() => {
+    if (!requestKey) return;
+    const controller = new AbortController();
+    const pairs = requestKey.split(",").map((key) => {
+      const [indicatorId, year] = key.split("|");
+      return { key, indicatorId, year: Number(year) };
+    });
+
+    async function run() {
+      // Cached snapshots first, then fill in anything stale or missing
+      const initial = {};
+      for (const { key, indicatorId, year } of pairs) {
+        const cached = readAllCountries(provider, indicatorId, year);
+        if (cached) initial[key] = cached.data;
+      }
+      setSnapshots(initial);
+
+      await Promise.all(
+        pairs.map(async ({ key, indicatorId, year }) => {
+          if (isFresh(readAllCountries(provider, indicatorId, year))) return;
+          try {
+            const entry = await loadAllCountries(provider, indicatorId, {
+              year,
+              signal: controller.signal,
+            });
+            setSnapshots((prev) => ({ ...prev, [key]: entry.data }));
+          } catch (err) {
+            if (isAbortError(err)) return;
+            console.error(err);
+          }
+        })
+      );
+    }
+
+    run();
+    return () => controller.abort();
+  }, [provider, requestKey]);
+
+  return snapshots;
+}
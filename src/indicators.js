@@ -0,0 +1,121 @@
+// Indicator definitions: the built-in health series plus any the user adds
+// from the catalog. Custom picks are persisted to localStorage.
+
+import {
+  formatFromIndicatorName,
+  formatIndicatorValue,
+} from "./lib/format";
+import { readJson, writeJson } from "./lib/storage";
+
+const CUSTOM_STORAGE_KEY = "lifelens:custom-indicators";
+
+// `higherIsBetter` decides ranking order (rank 1 = best). `pppId` names the
+// PPP (international $) variant of a current-US$ indicator, if there is one.
+// `locale` sets how `chartValueFormatter` writes numbers and units.
+function defineIndicator({
+  id,
+  label,
+  format,
+  source,
+  higherIsBetter = true,
+  pppId = null,
+  locale,
+}) {
+  return {
+    id,
+    label,
+    format,
+    higherIsBetter,
+    pppId,
+    source: source ?? "World Bank",
+    unitLatest: format.style === "currency" ? "US$" : format.unit,
+    chartValueFormatter: (v) => formatIndicatorValue(format, v, locale),
+  };
+}
+
+export const INDICATORS = {
+  LIFE_EXPECTANCY: defineIndicator({
+    id: "SP.DYN.LE00.IN",
+    label: "Life expectancy at birth",
+    format: { style: "number", decimals: 1, unit: "years" },
+  }),
+  HEALTH_EXPENDITURE_PC: defineIndicator({
+    id: "SH.XPD.CHEX.PC.CD",
+    label: "Health expenditure per capita",
+    format: { style: "currency", decimals: 0, unit: "" },
+    pppId: "SH.XPD.CHEX.PP.CD",
+  }),
+  INFANT_MORTALITY: defineIndicator({
+    id: "SP.DYN.IMRT.IN",
+    label: "Infant mortality rate",
+    format: { style: "number", decimals: 1, unit: "per 1,000" },
+    higherIsBetter: false,
+  }),
+  UNDER5_MORTALITY: defineIndicator({
+    id: "SH.DYN.MORT",
+    label: "Under-5 mortality rate",
+    format: { style: "number", decimals: 1, unit: "per 1,000" },
+    higherIsBetter: false,
+  }),
+};
+
+export const DEFAULT_INDICATOR_KEY = "LIFE_EXPECTANCY";
+
+// Custom indicator as stored: { id, name, label, format, source, higherIsBetter }
+export function customIndicatorFromMetadata(meta) {
+  const { label, format } = formatFromIndicatorName(meta.name);
+  return {
+    id: meta.id,
+    name: meta.name,
+    label,
+    format,
+    source: meta.source,
+    // Rates of death and disease rank best when lowest
+    higherIsBetter: !/mortality|death|prevalence|incidence/i.test(meta.name),
+  };
+}
+
+export function isBuiltinIndicatorId(id) {
+  return Object.values(INDICATORS).some((meta) => meta.id === id);
+}
+
+export function loadCustomIndicators() {
+  const parsed = readJson(CUSTOM_STORAGE_KEY, []);
+  return Array.isArray(parsed) ? parsed.filter((c) => c?.id && c.format) : [];
+}
+
+export function saveCustomIndicators(list) {
+  writeJson(CUSTOM_STORAGE_KEY, list);
+}
+
+// Built-ins plus custom indicators, keyed by dashboard key. Custom
+// indicators use their World Bank id as the key. With `i18n` (see
+// createI18n) labels and formatters follow the interface language;
+// `customLabels` maps custom indicator ids to names in that language.
+export function buildIndicatorMap(
+  customIndicators,
+  { i18n, customLabels = {} } = {}
+) {
+  const map = {};
+  for (const [key, meta] of Object.entries(INDICATORS)) {
+    map[key] = i18n
+      ? defineIndicator({
+          ...meta,
+          label: i18n.t(`indicator.${key}`),
+          locale: i18n.locale,
+        })
+      : meta;
+  }
+  for (const custom of customIndicators) {
+    if (isBuiltinIndicatorId(custom.id)) continue;
+    map[custom.id] = {
+      ...defineIndicator({
+        ...custom,
+        label: customLabels[custom.id] ?? custom.label,
+        locale: i18n?.locale,
+      }),
+      custom: true,
+    };
+  }
+  return map;
+}
@@ -0,0 +1,31 @@
+// Loading one indicator for every country, through the indicator cache. At
+// around a megabyte per indicator these entries are kept in memory only.
+
+import { readCachedIndicators, writeCachedIndicators } from "./indicatorCache";
+import { dedupeRequest } from "./request";
+
+export function allCountriesCacheKey(provider, indicatorId, year) {
+  return `${provider.id}:all:${indicatorId}${year ? `:${year}` : ""}`;
+}
+
+// Cached entry for the indicator (any age), or null
+export function readAllCountries(provider, indicatorId, year) {
+  return readCachedIndicators(allCountriesCacheKey(provider, indicatorId, year));
+}
+
+// Fetches { ISO3: [{ year, value }] } and caches it; concurrent calls share
+// one request. Resolves to the cache entry { data, cachedAt }.
+export function loadAllCountries(provider, indicatorId, { year, signal } = {}) {
+  const cacheKey = allCountriesCacheKey(provider, indicatorId, year);
+  return dedupeRequest(
+    cacheKey,
+    async (sharedSignal) => {
+      const data = await provider.fetchSeriesForAllCountries(indicatorId, {
+        year,
+        signal: sharedSignal,
+      });
+      return writeCachedIndicators(cacheKey, data, {}, { persist: false });
+    },
+    signal
+  );
+}
@@ -0,0 +1,58 @@
+// User notes on the trend chart ("2008: vaccine rollout"), each tied to a
+// country, metric and year. Persisted to localStorage and carried in saved
+// views and shared links.
+
+import { createId, readJson, writeJson } from "./storage";
+
+const STORAGE_KEY = "lifelens:annotations";
+export const MAX_NOTE_LENGTH = 120;
+
+function isAnnotation(a) {
+  return Boolean(
+    a?.id &&
+      typeof a.country === "string" &&
+      typeof a.metric === "string" &&
+      Number.isInteger(a.year) &&
+      typeof a.text === "string"
+  );
+}
+
+// Stored annotation: { id, country, metric, year, text }, where `country`
+// is the provider code and `metric` the dashboard metric key
+export function loadAnnotations() {
+  const parsed = readJson(STORAGE_KEY, []);
+  return Array.isArray(parsed) ? parsed.filter(isAnnotation) : [];
+}
+
+// Returns false when storage is full or unavailable
+export function saveAnnotations(list) {
+  return writeJson(STORAGE_KEY, list);
+}
+
+export function createAnnotation({ country, metric, year, text }) {
+  return {
+    id: createId(),
+    country,
+    metric,
+    year,
+    text: text.trim().slice(0, MAX_NOTE_LENGTH),
+  };
+}
+
+function noteKey(note) {
+  return `${note.country}~${note.metric}~${note.year}~${note.text}`;
+}
+
+// Annotations for those of `notes` (from a view or link) that `list`
+// doesn't already have
+export function newAnnotations(list, notes) {
+  const known = new Set(list.map(noteKey));
+  return notes.filter((n) => !known.has(noteKey(n))).map(createAnnotation);
+}
+
+// `list` plus any of `notes` it doesn't already have. Returns `list` itself
+// when nothing is new.
+export function mergeAnnotations(list, notes) {
+  const added = newAnnotations(list, notes);
+  return added.length ? [...list, ...added] : list;
+}
@@ -0,0 +1,95 @@
+// Standalone SVG and PNG snapshots of a rendered Recharts chart.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const BACKGROUND = "#0f172a";
+const TEXT_COLOR = "#e2e8f0";
+
+// Serializes `svg` with a solid background and inlined text styling, so the
+// file looks the same outside the page's stylesheet. `title` and `legend`
+// ([{ name, color }]) are drawn above the chart, `footer` (e.g. a citation)
+// below it.
+export function chartToSvgString(svg, { title, legend = [], footer } = {}) {
+  const width = svg.width.baseVal.value || svg.clientWidth;
+  const height = svg.height.baseVal.value || svg.clientHeight;
+  const titleHeight = title ? 28 : 0;
+  const headerHeight = titleHeight + (legend.length ? 20 : 0);
+  const footerHeight = footer ? 22 : 0;
+  const totalHeight = height + headerHeight + footerHeight;
+
+  const out = document.createElementNS(SVG_NS, "svg");
+  out.setAttribute("xmlns", SVG_NS);
+  out.setAttribute("width", width);
+  out.setAttribute("height", totalHeight);
+  out.setAttribute("viewBox", `0 0 ${width} ${totalHeight}`);
+  out.setAttribute("font-family", "system-ui, -apple-system, Segoe UI, sans-serif");
+
+  const bg = document.createElementNS(SVG_NS, "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", BACKGROUND);
+  out.appendChild(bg);
+
+  const addText = (content, y, size, x = 12) => {
+    const text = document.createElementNS(SVG_NS, "text");
+    text.setAttribute("x", x);
+    text.setAttribute("y", y);
+    text.setAttribute("fill", TEXT_COLOR);
+    text.setAttribute("font-size", size);
+    text.textContent = content;
+    out.appendChild(text);
+  };
+  if (title) addText(title, 19, 14);
+
+  let x = 12;
+  for (const item of legend) {
+    const swatch = document.createElementNS(SVG_NS, "rect");
+    swatch.setAttribute("x", x);
+    swatch.setAttribute("y", titleHeight + 4);
+    swatch.setAttribute("width", 10);
+    swatch.setAttribute("height", 10);
+    swatch.setAttribute("rx", 5);
+    swatch.setAttribute("fill", item.color);
+    out.appendChild(swatch);
+    addText(item.name, titleHeight + 13, 11, x + 14);
+    // No text measuring outside the page, so estimate the label width
+    x += 28 + item.name.length * 6;
+  }
+
+  const chart = svg.cloneNode(true);
+  chart.setAttribute("y", headerHeight);
+  for (const text of chart.querySelectorAll("text")) {
+    if (!text.getAttribute("fill")) text.setAttribute("fill", TEXT_COLOR);
+  }
+  out.appendChild(chart);
+
+  if (footer) addText(footer, totalHeight - 8, 10);
+
+  return new XMLSerializer().serializeToString(out);
+}
+
+// Rasterizes an SVG string to a PNG blob at `scale`x resolution
+export function svgStringToPng(svgString, { scale = 2 } = {}) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(
+      new Blob([svgString], { type: "image/svg+xml;charset=utf-8" })
+    );
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = image.width * scale;
+      canvas.height = image.height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not render PNG"))
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not load chart image"));
+    };
+    image.src = url;
+  });
+}
@@ -0,0 +1,64 @@
+// Plain-language description of the trend chart for assistive technology:
+// the metric and years shown, then each series' first and latest values,
+// its range and, when projected, where the projection ends.
+
+function extremes(points) {
+  let min = points[0];
+  let max = points[0];
+  for (const p of points) {
+    if (p.value < min.value) min = p;
+    if (p.value > max.value) max = p;
+  }
+  return { min, max };
+}
+
+function describeSeries(s, formatValue, t) {
+  const points = s.visiblePoints;
+  if (points.length === 0) return t("summary.noData", { name: s.name });
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length === 1) {
+    return t("summary.single", {
+      name: s.name,
+      value: formatValue(first.value),
+      year: first.year,
+    });
+  }
+
+  const { min, max } = extremes(points);
+  let text = t("summary.series", {
+    name: s.name,
+    first: formatValue(first.value),
+    firstYear: first.year,
+    last: formatValue(last.value),
+    lastYear: last.year,
+    min: formatValue(min.value),
+    minYear: min.year,
+    max: formatValue(max.value),
+    maxYear: max.year,
+  });
+  const end = s.projection[s.projection.length - 1];
+  if (end) {
+    text += ` ${t("summary.projection", {
+      value: formatValue(end.value),
+      year: end.year,
+    })}`;
+  }
+  return text;
+}
+
+// `series` are chart series ({ name, visiblePoints, projection }),
+// `formatValue` formats a plotted value and `t` translates message keys
+export function summarizeChart({ label, series, formatValue, t }) {
+  const years = series.flatMap((s) => s.visiblePoints.map((p) => p.year));
+  const intro = years.length
+    ? t("summary.range", {
+        label,
+        from: Math.min(...years),
+        to: Math.max(...years),
+      })
+    : t("summary.empty", { label });
+  return [intro, ...series.map((s) => describeSeries(s, formatValue, t))].join(
+    " "
+  );
+}
@@ -0,0 +1,59 @@
+// Helpers for the provider's country list (World Bank /country shape).
+
+// The pseudo-code the primary selector uses for the world aggregate
+export const GLOBAL_CODE = "GLOBAL";
+export const WORLD_CODE = "WLD";
+
+// World Bank aggregates (regions, income groups, World) have region "NA"
+export function isAggregate(country) {
+  return country.region?.id === "NA";
+}
+
+// Code to request from the provider for a selector value
+export function toApiCode(code) {
+  return code === GLOBAL_CODE ? WORLD_CODE : code;
+}
+
+// Distinct { id, value } options for a nested field such as "region" or
+// "incomeLevel", sorted by label
+export function facetOptions(countries, field) {
+  const byId = new Map();
+  for (const c of countries) {
+    const facet = c[field];
+    if (facet?.id && !byId.has(facet.id)) {
+      byId.set(facet.id, { id: facet.id, value: facet.value.trim() });
+    }
+  }
+  return Array.from(byId.values()).sort((a, b) => a.value.localeCompare(b.value));
+}
+
+// Countries matching the region and income filters ("" = any)
+export function filterCountries(countries, { region, incomeLevel }) {
+  return countries.filter(
+    (c) =>
+      (!region || c.region?.id === region) &&
+      (!incomeLevel || c.incomeLevel?.id === incomeLevel)
+  );
+}
+
+// Whether a country matches picker search text: the start of any word of
+// its name or capital city, or its ISO2 or ISO3 code. Accents and case are
+// ignored.
+export function matchesCountry(country, query) {
+  const q = foldText(query.trim());
+  if (!q) return true;
+  if (q === country.id.toLowerCase() || q === country.iso2Code?.toLowerCase()) {
+    return true;
+  }
+  return [country.name, country.capitalCity].some((text) => {
+    const folded = foldText(text ?? "");
+    return folded.startsWith(q) || folded.includes(` ${q}`);
+  });
+}
+
+function foldText(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
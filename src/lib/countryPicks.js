@@ -0,0 +1,39 @@
+// Favourite and recently viewed countries for the country pickers,
+// persisted to localStorage as lists of country codes.
+
+import { readJson, writeJson } from "./storage";
+
+const FAVOURITES_KEY = "lifelens:favourite-countries";
+const RECENTS_KEY = "lifelens:recent-countries";
+export const MAX_RECENT_COUNTRIES = 6;
+
+function loadCodes(key) {
+  const parsed = readJson(key, []);
+  return Array.isArray(parsed)
+    ? parsed.filter((code) => typeof code === "string")
+    : [];
+}
+
+export function loadFavouriteCountries() {
+  return loadCodes(FAVOURITES_KEY);
+}
+
+export function saveFavouriteCountries(list) {
+  writeJson(FAVOURITES_KEY, list);
+}
+
+export function loadRecentCountries() {
+  return loadCodes(RECENTS_KEY);
+}
+
+export function saveRecentCountries(list) {
+  writeJson(RECENTS_KEY, list);
+}
+
+// `code` moved to the front of the recents, keeping the newest few
+export function addRecentCountry(list, code) {
+  return [code, ...list.filter((c) => c !== code)].slice(
+    0,
+    MAX_RECENT_COUNTRIES
+  );
+}
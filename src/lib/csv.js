@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF).
+
+export function escapeCsv(value) {
+  const s = String(value ?? "");
+  if (/[",\r\n]/.test(s)) {
+    return `"${s.replaceAll('"', '""')}"`;
+  }
+  return s;
+}
+
+// Text that a spreadsheet would run as a formula ("=HYPERLINK(...)") gets a
+// leading apostrophe so it opens as text. Numbers are left alone.
+function neutralizeFormula(value) {
+  return typeof value === "string" && /^[=+\-@\t\r]/.test(value)
+    ? `'${value}`
+    : value;
+}
+
+// Rows of cells -> CSV text, for files users open in a spreadsheet
+export function toCsv(rows) {
+  return rows
+    .map((row) => row.map((cell) => escapeCsv(neutralizeFormula(cell))).join(","))
+    .join("\r\n");
+}
+
+// Returns an array of rows, each an array of raw string cells
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Parses CSV with a header row into objects keyed by column name
+export function parseCsvObjects(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((h) => h.trim());
+  return rows.map((r) =>
+    Object.fromEntries(columns.map((col, i) => [col, r[i] ?? ""]))
+  );
+}
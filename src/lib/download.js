@@ -0,0 +1,46 @@
+// Browser file downloads.
+
+export const MIME_TYPES = {
+  csv: "text/csv;charset=utf-8",
+  json: "application/json;charset=utf-8",
+  svg: "image/svg+xml;charset=utf-8",
+  png: "image/png",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  zip: "application/zip",
+};
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+// `type` is a key of MIME_TYPES, taken from the filename extension by default
+export function downloadFile(
+  filename,
+  contents,
+  type = filename.split(".").pop()
+) {
+  const blob =
+    contents instanceof Blob
+      ? contents
+      : new Blob([contents], {
+          type: MIME_TYPES[type] ?? "application/octet-stream",
+        });
+  downloadBlob(filename, blob);
+}
+
+export function makeSafeFilename(s) {
+  return String(s)
+    .trim()
+    .replaceAll(" ", "_")
+    .replaceAll("/", "-")
+    .replace(/[^a-zA-Z0-9._-]/g, "");
+}
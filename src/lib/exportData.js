@@ -0,0 +1,110 @@
+// Shared pieces of the data exports: the metadata/citation block and the
+// table layouts used by CSV, JSON and XLSX files.
+
+import { clipSeries } from "./series";
+
+function isoDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().slice(0, 10) : null;
+}
+
+// One citation line covering every exported indicator
+export function citationFor(provider, indicators, retrievedAt) {
+  const list = indicators.map((i) => `${i.label} (${i.id})`).join("; ");
+  const retrieved = isoDate(retrievedAt ?? Date.now());
+  return `${provider.citation}. ${list}. Retrieved ${retrieved} via LifeLens.`;
+}
+
+// { source, indicators, countries, importedDatasets, years, transform,
+// retrievedAt, exportedAt, citation }. `indicators` are indicator
+// definitions, `countries` [{ code, name }], `importedDatasets`
+// [{ name, fileName }]. `transform` describes rescaled or converted values.
+export function buildExportMetadata({
+  provider,
+  indicators,
+  countries,
+  importedDatasets = [],
+  yearRange = {},
+  transform = null,
+  retrievedAt = null,
+}) {
+  return {
+    source: provider.label,
+    indicators: indicators.map((i) => ({
+      id: i.id,
+      label: i.label,
+      unit: i.unitLatest || "",
+      source: i.source,
+      url: provider.indicatorUrl(i.id),
+    })),
+    countries,
+    importedDatasets,
+    years: { from: yearRange.startYear ?? null, to: yearRange.endYear ?? null },
+    transform,
+    retrievedAt: retrievedAt ? new Date(retrievedAt).toISOString() : null,
+    exportedAt: new Date().toISOString(),
+    citation: citationFor(provider, indicators, retrievedAt),
+  };
+}
+
+// Metadata as label/value rows, for the top of a CSV or a workbook sheet
+export function metadataRows(metadata) {
+  return [
+    ["Source", metadata.source],
+    ...metadata.indicators.map((i) => [
+      "Indicator",
+      `${i.label} (${i.id})${i.unit ? `, ${i.unit}` : ""}`,
+      ...(i.url ? [i.url] : []),
+    ]),
+    ["Countries", metadata.countries.map((c) => `${c.name} (${c.code})`).join("; ")],
+    ...(metadata.importedDatasets.length
+      ? [
+          [
+            "Imported datasets",
+            metadata.importedDatasets
+              .map((d) => `${d.name} (${d.fileName})`)
+              .join("; "),
+          ],
+        ]
+      : []),
+    [
+      "Years",
+      metadata.years.from || metadata.years.to
+        ? `${metadata.years.from ?? "first"}–${metadata.years.to ?? "latest"}`
+        : "All available",
+    ],
+    ...(metadata.transform ? [["Values", metadata.transform]] : []),
+    ["Retrieved", metadata.retrievedAt ?? "unknown"],
+    ["Exported", metadata.exportedAt],
+    ["Citation", metadata.citation],
+  ];
+}
+
+// Year-by-country table for one indicator: [["year", ...names], [year, ...values]]
+export function wideRows(countries, yearRange) {
+  const byYear = new Map();
+  countries.forEach((c, i) => {
+    for (const p of clipSeries(c.points, yearRange)) {
+      if (!byYear.has(p.year)) byYear.set(p.year, Array(countries.length).fill(""));
+      byYear.get(p.year)[i] = p.value;
+    }
+  });
+  const years = Array.from(byYear.keys()).sort((a, b) => a - b);
+  return [
+    ["year", ...countries.map((c) => c.name)],
+    ...years.map((year) => [year, ...byYear.get(year)]),
+  ];
+}
+
+// Long-format records: [{ country, countryName, indicator, indicatorName, year, value }]
+export function longRecords(series) {
+  return series.flatMap((s) =>
+    s.points.map((p) => ({
+      country: s.code,
+      countryName: s.name,
+      indicator: s.indicator.id,
+      indicatorName: s.indicator.label,
+      year: p.year,
+      value: p.value,
+    }))
+  );
+}
@@ -0,0 +1,93 @@
+// Value formatting driven by an indicator's format spec:
+//   { style: "number" | "currency" | "percent", decimals, unit }
+// Numbers follow `locale` (decimal and group separators, currency and unit
+// placement); units the formatter knows about are translated.
+
+import { languageOf, numberFormat, translate } from "./i18n";
+
+const DEFAULT_LOCALE = "en-US";
+
+function fixedDigits(decimals) {
+  return { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+}
+
+// "per 1,000" -> "pour 1 000" etc.; other free-text units are left alone
+function formatUnit(unit, locale) {
+  const per = /^per ([\d,]+)$/.exec(unit);
+  if (!per) return unit;
+  const n = numberFormat(locale).format(Number(per[1].replace(/,/g, "")));
+  return translate(languageOf(locale), "unit.per", { n });
+}
+
+export function formatIndicatorValue(format, value, locale = DEFAULT_LOCALE) {
+  if (value === null || value === undefined) {
+    return translate(languageOf(locale), "value.noData");
+  }
+
+  const digits = fixedDigits(format.decimals);
+  if (format.style === "currency") {
+    return numberFormat(locale, {
+      style: "currency",
+      currency: "USD",
+      ...digits,
+    }).format(value);
+  }
+  if (format.style === "percent") {
+    return numberFormat(locale, { style: "percent", ...digits }).format(
+      value / 100
+    );
+  }
+  if (format.unit === "years") {
+    return numberFormat(locale, {
+      style: "unit",
+      unit: "year",
+      unitDisplay: "long",
+      ...digits,
+    }).format(value);
+  }
+  const number = numberFormat(locale, digits).format(value);
+  return format.unit ? `${number} ${formatUnit(format.unit, locale)}` : number;
+}
+
+// Changes are shown as signed numbers without units
+export function formatIndicatorChange(format, change, locale = DEFAULT_LOCALE) {
+  if (change === null || change === undefined) {
+    return translate(languageOf(locale), "value.notAvailable");
+  }
+  return numberFormat(locale, {
+    signDisplay: "always",
+    ...fixedDigits(format.decimals),
+  }).format(change);
+}
+
+// World Bank indicator names carry their unit in a trailing parenthetical,
+// e.g. "Mortality rate, infant (per 1,000 live births)". Splits that into a
+// display label and a format spec. Unit detection expects the English name.
+export function formatFromIndicatorName(name) {
+  const match = /^(.*?)\s*\(([^()]*)\)\s*$/.exec(name || "");
+  const label = match ? match[1] : name || "";
+  const unitText = match ? match[2] : "";
+
+  if (/US\$|\$/.test(unitText)) {
+    return { label, format: { style: "currency", decimals: 0, unit: "" } };
+  }
+  if (unitText.includes("%")) {
+    return { label, format: { style: "percent", decimals: 1, unit: "" } };
+  }
+
+  const per = /per ([\d,]+)/.exec(unitText);
+  if (per) {
+    return { label, format: { style: "number", decimals: 1, unit: `per ${per[1]}` } };
+  }
+  if (/years?/.test(unitText)) {
+    return { label, format: { style: "number", decimals: 1, unit: "years" } };
+  }
+  return { label: name || "", format: { style: "number", decimals: 1, unit: "" } };
+}
+
+// Display label from a (possibly translated) indicator name: the name
+// without its trailing unit parenthetical
+export function labelFromIndicatorName(name) {
+  const match = /^(.*?)\s*\([^()]*\)\s*$/.exec(name || "");
+  return match ? match[1] : name || "";
+}
@@ -0,0 +1,121 @@
+// Interface languages, message lookup and locale-aware number and date
+// formatting. Messages live in src/locales/<language>.json as flat
+// "section.name" keys; `{name}` placeholders are filled from params, and a
+// message can be a { one, other, ... } object chosen by `params.count`.
+// Missing translations fall back to English.
+
+import en from "../locales/en.json";
+import es from "../locales/es.json";
+import fr from "../locales/fr.json";
+
+const STORAGE_KEY = "lifelens:language";
+
+export const LANGUAGES = [
+  { id: "en", label: "English", locale: "en-US" },
+  { id: "fr", label: "Français", locale: "fr-FR" },
+  { id: "es", label: "Español", locale: "es-ES" },
+];
+export const DEFAULT_LANGUAGE = "en";
+
+const MESSAGES = { en, fr, es };
+
+function isLanguage(id) {
+  return LANGUAGES.some((l) => l.id === id);
+}
+
+export function localeFor(language) {
+  return (
+    LANGUAGES.find((l) => l.id === language)?.locale ??
+    LANGUAGES.find((l) => l.id === DEFAULT_LANGUAGE).locale
+  );
+}
+
+// Language part of a locale tag: "fr-FR" -> "fr"
+export function languageOf(locale) {
+  const id = (locale || "").slice(0, 2).toLowerCase();
+  return isLanguage(id) ? id : DEFAULT_LANGUAGE;
+}
+
+// Saved choice, else the browser's language when we have it
+export function loadLanguage() {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (isLanguage(saved)) return saved;
+  } catch (err) {
+    console.error(err);
+  }
+  return languageOf(window.navigator?.language);
+}
+
+export function saveLanguage(language) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, language);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+const pluralRules = new Map();
+
+function pluralCategory(language, count) {
+  if (!pluralRules.has(language)) {
+    pluralRules.set(language, new Intl.PluralRules(localeFor(language)));
+  }
+  return pluralRules.get(language).select(count);
+}
+
+export function translate(language, key, params = {}) {
+  let message = MESSAGES[language]?.[key] ?? MESSAGES.en[key] ?? key;
+  if (typeof message === "object") {
+    message =
+      message[pluralCategory(language, params.count ?? 0)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+// Error with a message that can be shown in any interface language: `key`
+// and `params` name the message, `message` holds it in English
+export class TranslatableError extends Error {
+  constructor(key, params = {}) {
+    super(translate(DEFAULT_LANGUAGE, key, params));
+    this.name = "TranslatableError";
+    this.key = key;
+    this.params = params;
+  }
+}
+
+const numberFormats = new Map();
+
+// Cached Intl.NumberFormat for a locale and options
+export function numberFormat(locale, options = {}) {
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!numberFormats.has(key)) {
+    numberFormats.set(key, new Intl.NumberFormat(locale, options));
+  }
+  return numberFormats.get(key);
+}
+
+// Everything the interface needs for one language:
+//   t(key, params)            -> translated message
+//   errorMessage(err)         -> a TranslatableError's message, or err.message
+//   formatNumber(value, opts) -> Intl.NumberFormat output
+//   formatDate(timestamp)     -> medium date and short time
+export function createI18n(language) {
+  const locale = localeFor(language);
+  const t = (key, params) => translate(language, key, params);
+  return {
+    language,
+    locale,
+    t,
+    errorMessage: (err) => (err?.key ? t(err.key, err.params) : err?.message),
+    formatNumber: (value, options) =>
+      numberFormat(locale, options).format(value),
+    formatDate: (timestamp) =>
+      new Date(timestamp).toLocaleString(locale, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      }),
+  };
+}
@@ -0,0 +1,192 @@
+// Persistent indicator cache.
+// Entries live in memory for fast lookups and are mirrored to localStorage so
+// they survive page reloads. Stale entries are still returned: callers render
+// them right away and refresh in the background (stale-while-revalidate).
+// The mirrored copies share localStorage with saved views, datasets and
+// notes, so they are kept within a byte budget, oldest evicted first.
+
+const STORAGE_PREFIX = "lifelens:indicators:";
+const CACHE_VERSION = 1;
+export const CACHE_TTL_MS = 1000 * 60 * 10; // 10 minutes
+const STORAGE_BUDGET_BYTES = 2 * 1024 * 1024;
+
+// Map(countryCode -> { data, errors, cachedAt })
+const memoryCache = new Map();
+
+function storageKey(countryCode) {
+  return `${STORAGE_PREFIX}${countryCode}`;
+}
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    // Access can throw in private mode or when storage is disabled
+    return null;
+  }
+}
+
+function hasErrors(entry) {
+  return Object.keys(entry.errors || {}).length > 0;
+}
+
+// Older than the TTL, whether or not anything failed
+export function isExpired(entry) {
+  if (CACHE_TTL_MS == null) return false;
+  return Date.now() - entry.cachedAt >= CACHE_TTL_MS;
+}
+
+// Entries with failed indicators are never fresh, so they get retried
+export function isFresh(entry) {
+  if (!entry) return false;
+  if (hasErrors(entry)) return false;
+  return !isExpired(entry);
+}
+
+// Returns { data, errors, cachedAt } regardless of age, or null if nothing is stored
+export function readCachedIndicators(countryCode) {
+  const inMemory = memoryCache.get(countryCode);
+  if (inMemory) return inMemory;
+
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const raw = storage.getItem(storageKey(countryCode));
+    if (!raw) return null;
+
+    const parsed = JSON.parse(raw);
+    if (parsed?.version !== CACHE_VERSION || !parsed.data) return null;
+
+    const entry = {
+      data: parsed.data,
+      errors: parsed.errors || {},
+      cachedAt: parsed.cachedAt,
+    };
+    memoryCache.set(countryCode, entry);
+    return entry;
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+// `errors` maps indicator keys that failed to load to their error. With
+// `persist: false` the entry is kept in memory only, for bulk data such as
+// every country's values that would take up most of the storage budget.
+// `cachedAt` defaults to now; pass an older time when the data carries over
+// series from an earlier fetch.
+export function writeCachedIndicators(
+  countryCode,
+  data,
+  errors = {},
+  { persist = true, cachedAt = Date.now() } = {}
+) {
+  const entry = { data, errors, cachedAt };
+  memoryCache.set(countryCode, entry);
+
+  const storage = getStorage();
+  if (!storage || !persist) return entry;
+
+  try {
+    persistEntry(
+      storage,
+      storageKey(countryCode),
+      JSON.stringify({ version: CACHE_VERSION, ...entry })
+    );
+  } catch (err) {
+    // Still no room: keep the in-memory copy and carry on
+    console.error(err);
+  }
+  return entry;
+}
+
+function storedKeys(storage) {
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key && key.startsWith(STORAGE_PREFIX)) keys.push(key);
+  }
+  return keys;
+}
+
+// localStorage stores UTF-16, so two bytes per character
+function storedBytes(key, value) {
+  return (key.length + value.length) * 2;
+}
+
+function isQuotaError(err) {
+  return (
+    err?.name === "QuotaExceededError" ||
+    err?.name === "NS_ERROR_DOM_QUOTA_REACHED"
+  );
+}
+
+// Persisted entries as [{ key, bytes, cachedAt }], oldest first
+function storedEntries(storage) {
+  return storedKeys(storage)
+    .map((key) => {
+      const value = storage.getItem(key) || "";
+      let cachedAt = 0;
+      try {
+        cachedAt = JSON.parse(value).cachedAt || 0;
+      } catch {
+        // Unreadable entries go first
+      }
+      return { key, bytes: storedBytes(key, value), cachedAt };
+    })
+    .sort((a, b) => a.cachedAt - b.cachedAt);
+}
+
+// Stores `value` under `key` after evicting the oldest entries to stay within
+// the budget. If other data has filled the quota, more cache entries are
+// evicted; nothing outside the cache is ever removed.
+function persistEntry(storage, key, value) {
+  const bytes = storedBytes(key, value);
+  if (bytes > STORAGE_BUDGET_BYTES) {
+    storage.removeItem(key);
+    return;
+  }
+
+  const others = storedEntries(storage).filter((e) => e.key !== key);
+  let total = others.reduce((sum, e) => sum + e.bytes, bytes);
+  while (total > STORAGE_BUDGET_BYTES) {
+    const oldest = others.shift();
+    storage.removeItem(oldest.key);
+    total -= oldest.bytes;
+  }
+
+  for (;;) {
+    try {
+      storage.setItem(key, value);
+      return;
+    } catch (err) {
+      if (!isQuotaError(err) || others.length === 0) throw err;
+      storage.removeItem(others.shift().key);
+    }
+  }
+}
+
+// { entries, bytes } for what is persisted in localStorage
+export function getCacheStats() {
+  const storage = getStorage();
+  if (!storage) return { entries: memoryCache.size, bytes: 0 };
+
+  let bytes = 0;
+  const keys = storedKeys(storage);
+  for (const key of keys) {
+    bytes += storedBytes(key, storage.getItem(key) || "");
+  }
+  return { entries: keys.length, bytes };
+}
+
+export function clearIndicatorCache() {
+  memoryCache.clear();
+
+  const storage = getStorage();
+  if (!storage) return;
+
+  for (const key of storedKeys(storage)) {
+    storage.removeItem(key);
+  }
+}
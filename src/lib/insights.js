@@ -0,0 +1,342 @@
+// Plain-language findings from loaded [{ year, value }] series. Each finding
+// lists the values it was computed from, so it can be checked against the
+// chart and the exports. Sentences come from the "insight.*" messages.
+
+import { formatIndicatorValue } from "./format";
+import { linearTrend } from "./stats";
+
+// Momentum compares the trend over the last RECENT_YEARS with the one
+// before it; both need MIN_POINTS reported years
+const RECENT_YEARS = 8;
+const MIN_POINTS = 5;
+// Slopes under 0.2% of the series' level per year count as flat
+const FLAT_SLOPE = 0.002;
+const FLATTENED_RATIO = 0.25;
+const ACCELERATED_RATIO = 1.5;
+// Changes within 10% of each other are "in line"
+const SIMILAR_RATIO = 0.1;
+
+// Life expectancy and percentages read better as differences ("rose 12.3
+// years") than as relative changes ("rose 19%")
+function usesDifference(format) {
+  return format.unit === "years" || format.style === "percent";
+}
+
+function formatAmount(i18n, format, amount) {
+  if (format.style === "percent") {
+    const n = i18n.formatNumber(amount, {
+      minimumFractionDigits: format.decimals,
+      maximumFractionDigits: format.decimals,
+    });
+    return i18n.t("insight.percentagePoints", { n });
+  }
+  return formatIndicatorValue(format, amount, i18n.locale);
+}
+
+function formatPercent(i18n, pct) {
+  return i18n.formatNumber(pct / 100, {
+    style: "percent",
+    maximumFractionDigits: 0,
+  });
+}
+
+// "Infant mortality rate" -> "infant mortality rate", keeping acronyms
+function lowerFirst(label) {
+  return /^[A-Z][A-Z]/.test(label)
+    ? label
+    : label[0].toLowerCase() + label.slice(1);
+}
+
+// English only; other languages' templates don't use it
+function possessive(name) {
+  return name.endsWith("s") ? `${name}'` : `${name}'s`;
+}
+
+// Whether a move in `direction` (+1 / -1) is an improvement
+function toneFor(direction, higherIsBetter) {
+  if (direction === 0) return "neutral";
+  return direction > 0 === higherIsBetter ? "good" : "bad";
+}
+
+function evidence(i18n, name, point, format) {
+  return {
+    label: `${name}, ${point.year}`,
+    value: formatIndicatorValue(format, point.value, i18n.locale),
+  };
+}
+
+// Change between two points: { direction, size, text } where `size` is
+// comparable between series of the same indicator
+function measureChange(i18n, format, from, to) {
+  const diff = to.value - from.value;
+  if (usesDifference(format)) {
+    return {
+      direction: Math.sign(diff),
+      size: Math.abs(diff),
+      text: formatAmount(i18n, format, Math.abs(diff)),
+    };
+  }
+  if (from.value === 0) return null;
+  const pct = (diff / Math.abs(from.value)) * 100;
+  return {
+    direction: Math.round(pct) === 0 ? 0 : Math.sign(pct),
+    size: Math.abs(pct),
+    text: formatPercent(i18n, Math.abs(pct)),
+  };
+}
+
+// Message key suffix for a direction: "Rose", "Fell" or "Unchanged"
+function movement(direction) {
+  return direction > 0 ? "Rose" : direction < 0 ? "Fell" : "Unchanged";
+}
+
+// "Infant mortality rate fell 68% since 1990, faster than the world average"
+function changeFinding(ctx) {
+  const { i18n, meta, primary, world, openEnded } = ctx;
+  const { t } = i18n;
+  const points = primary.points;
+  if (points.length < 2) return null;
+  const from = points[0];
+  const to = points[points.length - 1];
+  const change = measureChange(i18n, meta.format, from, to);
+  if (!change) return null;
+
+  const span = openEnded
+    ? t("insight.since", { year: from.year })
+    : t("insight.between", { from: from.year, to: to.year });
+  const key = movement(change.direction).toLowerCase();
+  let text = t(`insight.${key}`, {
+    label: meta.label,
+    amount: change.text,
+    span,
+  });
+  const items = [
+    evidence(i18n, primary.name, from, meta.format),
+    evidence(i18n, primary.name, to, meta.format),
+  ];
+
+  // The world over exactly the same years
+  const worldFrom = world?.points.find((p) => p.year === from.year);
+  const worldTo = world?.points.find((p) => p.year === to.year);
+  const worldChange =
+    worldFrom && worldTo
+      ? measureChange(i18n, meta.format, worldFrom, worldTo)
+      : null;
+  if (worldChange && change.direction !== 0) {
+    if (worldChange.direction !== change.direction) {
+      text += t(`insight.world${movement(worldChange.direction)}`);
+    } else if (change.size > worldChange.size * (1 + SIMILAR_RATIO)) {
+      text += t("insight.fasterThanWorld");
+    } else if (change.size < worldChange.size * (1 - SIMILAR_RATIO)) {
+      text += t("insight.slowerThanWorld");
+    } else {
+      text += t("insight.inLineWithWorld");
+    }
+    if (worldChange.direction !== 0) text += ` (${worldChange.text})`;
+    items.push(
+      evidence(i18n, world.name, worldFrom, meta.format),
+      evidence(i18n, world.name, worldTo, meta.format)
+    );
+  }
+
+  return {
+    id: `${ctx.key}:change`,
+    indicatorKey: ctx.key,
+    text: `${text}.`,
+    tone: toneFor(change.direction, meta.higherIsBetter),
+    evidence: items,
+  };
+}
+
+// "Health expenditure per capita has flattened since 2015"
+function momentumFinding(ctx) {
+  const { i18n, meta, primary } = ctx;
+  const { t } = i18n;
+  const points = primary.points;
+  if (points.length < 2) return null;
+  const lastYear = points[points.length - 1].year;
+  const recent = points.filter((p) => p.year > lastYear - RECENT_YEARS);
+  const earlier = points.filter((p) => p.year <= lastYear - RECENT_YEARS);
+  if (recent.length < MIN_POINTS || earlier.length < MIN_POINTS) return null;
+
+  const recentFit = linearTrend(recent);
+  const earlierFit = linearTrend(earlier);
+  if (!recentFit || !earlierFit) return null;
+  const level =
+    points.reduce((sum, p) => sum + Math.abs(p.value), 0) / points.length;
+  if (level === 0) return null;
+  const recentRate = recentFit.slope / level;
+  const earlierRate = earlierFit.slope / level;
+  const since = recent[0].year;
+  const params = {
+    label: meta.label,
+    labelLower: lowerFirst(meta.label),
+    year: since,
+  };
+
+  let text = null;
+  let direction = 0;
+  if (Math.abs(earlierRate) >= FLAT_SLOPE) {
+    if (Math.abs(recentRate) < Math.abs(earlierRate) * FLATTENED_RATIO) {
+      text = t("insight.flattened", params);
+      direction = -Math.sign(earlierRate);
+    } else if (
+      Math.abs(recentRate) >= FLAT_SLOPE &&
+      Math.sign(recentRate) !== Math.sign(earlierRate)
+    ) {
+      text = t(
+        recentRate > 0 ? "insight.nowRising" : "insight.nowFalling",
+        params
+      );
+      direction = Math.sign(recentRate);
+    } else if (
+      Math.abs(recentRate) >
+      Math.abs(earlierRate) * ACCELERATED_RATIO
+    ) {
+      text = t(
+        earlierRate > 0 ? "insight.riseAccelerated" : "insight.fallAccelerated",
+        params
+      );
+      direction = Math.sign(recentRate);
+    }
+  }
+  if (!text) return null;
+
+  const perYear = (fit) => {
+    const sign = fit.slope >= 0 ? "+" : "−";
+    const amount = formatAmount(i18n, meta.format, Math.abs(fit.slope));
+    return t("insight.perYear", { amount: `${sign}${amount}` });
+  };
+  const earlierEnd = earlier[earlier.length - 1].year;
+  return {
+    id: `${ctx.key}:momentum`,
+    indicatorKey: ctx.key,
+    text: `${text}.`,
+    tone: toneFor(direction, meta.higherIsBetter),
+    evidence: [
+      {
+        label: t("insight.trendYears", {
+          name: primary.name,
+          from: earlier[0].year,
+          to: earlierEnd,
+        }),
+        value: perYear(earlierFit),
+      },
+      {
+        label: t("insight.trendYears", {
+          name: primary.name,
+          from: since,
+          to: lastYear,
+        }),
+        value: perYear(recentFit),
+      },
+    ],
+  };
+}
+
+// "Kenya's under-5 mortality rate is 3.2× the United States' (2021)"
+function gapFinding(ctx, other, suffix) {
+  const { i18n, meta, primary } = ctx;
+  const { t } = i18n;
+  if (!other) return null;
+  const otherByYear = new Map(other.points.map((p) => [p.year, p]));
+  const own = primary.points.findLast((p) => otherByYear.has(p.year));
+  if (!own) return null;
+  const theirs = otherByYear.get(own.year);
+
+  const params = {
+    subject: t("insight.subject", {
+      name: primary.name,
+      possessive: possessive(primary.name),
+      label: meta.label,
+      labelLower: lowerFirst(meta.label),
+    }),
+    other: other.isWorld
+      ? t("insight.theWorld")
+      : t("insight.otherCountry", {
+          name: other.name,
+          possessive: possessive(other.name),
+        }),
+  };
+  const diff = own.value - theirs.value;
+  let text;
+  if (Math.abs(diff) <= Math.abs(theirs.value) * 0.01) {
+    text = t("insight.same", params);
+  } else if (
+    usesDifference(meta.format) ||
+    theirs.value <= 0 ||
+    own.value <= 0
+  ) {
+    const amount = formatAmount(i18n, meta.format, Math.abs(diff));
+    text = t(diff > 0 ? "insight.above" : "insight.below", {
+      ...params,
+      amount,
+    });
+  } else if (own.value / theirs.value >= 1.5) {
+    const ratio = i18n.formatNumber(own.value / theirs.value, {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+    });
+    text = t("insight.ratio", { ...params, ratio });
+  } else {
+    const pct = formatPercent(i18n, Math.abs(diff / theirs.value) * 100);
+    text = t(diff > 0 ? "insight.higher" : "insight.lower", { ...params, pct });
+  }
+
+  return {
+    id: `${ctx.key}:${suffix}`,
+    indicatorKey: ctx.key,
+    text: `${text[0].toUpperCase()}${text.slice(1)} (${own.year}).`,
+    tone: toneFor(Math.sign(diff), meta.higherIsBetter),
+    evidence: [
+      evidence(i18n, primary.name, own, meta.format),
+      evidence(i18n, other.name, theirs, meta.format),
+    ],
+  };
+}
+
+// Findings for every indicator, in indicator order.
+//   i18n:       interface language (see createI18n)
+//   indicators: { KEY: definition }
+//   primary:    { name, seriesByIndicator }
+//   world:      { name, seriesByIndicator } or null when primary is the world
+//   compare:    { name, seriesByIndicator } or null
+// Series should already be clipped to the years on screen; `openEnded` says
+// whether they run to the latest year.
+// Finding: { id, indicatorKey, text, tone: "good" | "bad" | "neutral",
+// evidence: [{ label, value }] }
+export function generateInsights({
+  i18n,
+  indicators,
+  primary,
+  world,
+  compare,
+  openEnded,
+}) {
+  const findings = [];
+  for (const [key, meta] of Object.entries(indicators)) {
+    const seriesFor = (source, extra) =>
+      source
+        ? {
+            name: source.name,
+            points: source.seriesByIndicator[key] || [],
+            ...extra,
+          }
+        : null;
+    const ctx = {
+      i18n,
+      key,
+      meta,
+      openEnded,
+      primary: seriesFor(primary),
+      world: seriesFor(world, { isWorld: true }),
+    };
+    findings.push(
+      changeFinding(ctx),
+      momentumFinding(ctx),
+      gapFinding(ctx, ctx.world, "world"),
+      gapFinding(ctx, seriesFor(compare), "compare")
+    );
+  }
+  return findings.filter(Boolean);
+}
@@ -0,0 +1,55 @@
+// Missing-year handling for [{ year, value }] series (sorted, gaps = years
+// the provider didn't report).
+
+// Labels are the "missing.<mode>" messages
+export const MISSING_DATA_MODES = ["gaps", "linear", "locf"];
+
+// How filled points are described in exports; the interface uses the
+// "imputed.<mode>" messages
+export const IMPUTED_LABELS = {
+  linear: "interpolated",
+  locf: "carried forward",
+};
+
+// Fills years missing between the first and last reported points. Filled
+// points carry `imputed` set to the mode; nothing is extrapolated past the
+// ends. "gaps" returns the points unchanged.
+export function fillMissingYears(points, mode) {
+  if (mode === "gaps" || points.length < 2) return points;
+
+  const out = [];
+  for (let i = 0; i < points.length; i++) {
+    const cur = points[i];
+    out.push(cur);
+    const next = points[i + 1];
+    if (!next) break;
+    for (let year = cur.year + 1; year < next.year; year++) {
+      const value =
+        mode === "linear"
+          ? cur.value +
+            ((next.value - cur.value) * (year - cur.year)) / (next.year - cur.year)
+          : cur.value;
+      out.push({ year, value, imputed: mode });
+    }
+  }
+  return out;
+}
+
+// Runs of unreported years between the first and last reported points:
+// [{ from, to }] (inclusive)
+export function gapRuns(points) {
+  const runs = [];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].year - points[i - 1].year > 1) {
+      runs.push({ from: points[i - 1].year + 1, to: points[i].year - 1 });
+    }
+  }
+  return runs;
+}
+
+// { reported, total } years within the inclusive [from, to] span
+export function coverage(points, { from, to }) {
+  if (from == null || to == null || to < from) return { reported: 0, total: 0 };
+  const reported = points.filter((p) => p.year >= from && p.year <= to).length;
+  return { reported, total: to - from + 1 };
+}
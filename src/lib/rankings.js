@@ -0,0 +1,51 @@
+// Cross-country ranking helpers.
+
+// Ranks [{ code, value }] so rank 1 is the best value. Ties share a rank.
+// Percentile is the share of other countries ranked below (100 = best).
+export function rankValues(entries, { higherIsBetter = true } = {}) {
+  const sorted = [...entries].sort((a, b) =>
+    higherIsBetter ? b.value - a.value : a.value - b.value
+  );
+  const total = sorted.length;
+
+  let rank = 0;
+  return sorted.map((entry, i) => {
+    if (i === 0 || entry.value !== sorted[i - 1].value) rank = i + 1;
+    const percentile =
+      total > 1 ? Math.round((100 * (total - rank)) / (total - 1)) : 100;
+    return { ...entry, rank, total, percentile };
+  });
+}
+
+// { code, value } for each country that reported a value in `year`
+export function valuesForYear(seriesByCountry, year, codes) {
+  const entries = [];
+  for (const code of codes) {
+    const point = seriesByCountry[code]?.find((p) => p.year === year);
+    if (point) entries.push({ code, value: point.value });
+  }
+  return entries;
+}
+
+// Latest year whose coverage is at least half the best year's coverage,
+// so the default ranking isn't based on a handful of early reporters
+export function defaultRankingYear(seriesByCountry, codes) {
+  const counts = new Map();
+  for (const code of codes) {
+    for (const p of seriesByCountry[code] || []) {
+      counts.set(p.year, (counts.get(p.year) || 0) + 1);
+    }
+  }
+  if (counts.size === 0) return null;
+
+  const best = Math.max(...counts.values());
+  const years = Array.from(counts.keys()).sort((a, b) => b - a);
+  return years.find((y) => counts.get(y) >= best / 2) ?? years[0];
+}
+
+export function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  const suffix = { 1: "st", 2: "nd", 3: "rd" }[n % 10] ?? "th";
+  return `${n}${suffix}`;
+}
@@ -0,0 +1,136 @@
+// Request layer: JSON fetching with retries, abort support and de-duplication.
+
+const RETRYABLE_STATUS = (status) => status === 429 || status >= 500;
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+export class HttpError extends Error {
+  constructor(status, url) {
+    super(`Request failed: ${status} (${url})`);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+export function abortError() {
+  return new DOMException("The request was aborted.", "AbortError");
+}
+
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+// Resolves after `ms`, or rejects early if the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function backoffDelay(attempt, res) {
+  // Honour Retry-After (in seconds) when the server sends one
+  const retryAfter = Number(res?.headers.get("Retry-After"));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+  const exp = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(exp + Math.random() * BASE_DELAY_MS, MAX_DELAY_MS);
+}
+
+// fetch + JSON, retrying network errors and 5xx/429 responses with backoff
+export async function fetchJson(
+  url,
+  { signal, retries = DEFAULT_RETRIES } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, { signal });
+    } catch (err) {
+      if (isAbortError(err) || attempt >= retries) throw err;
+      await sleep(backoffDelay(attempt), signal);
+      continue;
+    }
+
+    if (res.ok) return res.json();
+
+    if (!RETRYABLE_STATUS(res.status) || attempt >= retries) {
+      throw new HttpError(res.status, url);
+    }
+    await sleep(backoffDelay(attempt, res), signal);
+  }
+}
+
+// Map(key -> { promise, controller, refs })
+const inflight = new Map();
+
+// Shares one in-flight `run(signal)` between concurrent callers with the same
+// key. Each caller can abort independently; the underlying work is only
+// aborted once every caller has gone away.
+export function dedupeRequest(key, run, signal) {
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, refs: 0, promise: null };
+    const current = entry;
+    entry.promise = run(controller.signal).finally(() => {
+      if (inflight.get(key) === current) inflight.delete(key);
+    });
+    inflight.set(key, entry);
+  }
+
+  const shared = entry;
+  shared.refs++;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    function release() {
+      settled = true;
+      shared.refs--;
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    function onAbort() {
+      if (settled) return;
+      release();
+      if (shared.refs === 0) {
+        shared.controller.abort();
+        if (inflight.get(key) === shared) inflight.delete(key);
+      }
+      reject(abortError());
+    }
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    shared.promise.then(
+      (value) => {
+        if (settled) return;
+        release();
+        resolve(value);
+      },
+      (err) => {
+        if (settled) return;
+        release();
+        reject(err);
+      }
+    );
+  });
+}
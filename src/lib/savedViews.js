@@ -0,0 +1,89 @@
+// Named dashboard views (countries, metric, compare state, year range, tab
+// and the countries' chart notes), persisted to localStorage and shared as
+// JSON files.
+
+import { TranslatableError } from "./i18n";
+import { createId, readJson, writeJson } from "./storage";
+import { DEFAULT_VIEW, parseViewFromSearch, viewToSearch } from "./urlState";
+
+const STORAGE_KEY = "lifelens:saved-views";
+const FILE_TYPE = "lifelens-views";
+const FILE_VERSION = 1;
+
+// Cleans up a view state the same way a shared link would be: anything
+// invalid falls back to the defaults. Any metric key is kept; the app checks
+// it against the loaded indicators when the view is applied.
+export function normalizeViewState(state) {
+  const merged = { ...DEFAULT_VIEW, ...state };
+  return parseViewFromSearch(viewToSearch(merged), {
+    metricKeys: [merged.metric],
+  });
+}
+
+// Query string for a view state; equal strings mean equal views
+export function viewStateKey(state) {
+  return viewToSearch(normalizeViewState(state));
+}
+
+function isSavedView(v) {
+  return Boolean(v?.id && typeof v.name === "string" && v.state);
+}
+
+// Stored view: { id, name, savedAt, state } where `state` is shaped like
+// DEFAULT_VIEW
+export function loadSavedViews() {
+  const parsed = readJson(STORAGE_KEY, []);
+  return Array.isArray(parsed) ? parsed.filter(isSavedView) : [];
+}
+
+// Returns false when storage is full or unavailable
+export function saveSavedViews(list) {
+  return writeJson(STORAGE_KEY, list);
+}
+
+export function createSavedView(name, state) {
+  return {
+    id: createId(),
+    name,
+    savedAt: Date.now(),
+    state: normalizeViewState(state),
+  };
+}
+
+// JSON file contents for sharing `views`
+export function viewsToFile(views) {
+  return JSON.stringify(
+    {
+      type: FILE_TYPE,
+      version: FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      views: views.map(({ name, savedAt, state }) => ({ name, savedAt, state })),
+    },
+    null,
+    2
+  );
+}
+
+// Views from a shared file, with fresh ids; unnamed views get `defaultName`.
+// Throws a TranslatableError for files that aren't view exports.
+export function parseViewsFile(text, { defaultName }) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new TranslatableError("file.invalidJson");
+  }
+  if (json?.type !== FILE_TYPE || !Array.isArray(json.views)) {
+    throw new TranslatableError("views.notViewsFile");
+  }
+  const views = json.views
+    .filter((v) => v && typeof v.name === "string" && v.state)
+    .map((v) => ({
+      id: createId(),
+      name: v.name.trim() || defaultName,
+      savedAt: Number(v.savedAt) || Date.now(),
+      state: normalizeViewState(v.state),
+    }));
+  if (views.length === 0) throw new TranslatableError("views.noViews");
+  return views;
+}
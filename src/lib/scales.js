@@ -0,0 +1,48 @@
+// Classed colour scales for choropleths and legends.
+
+// Sequential indigo ramp, light to dark
+export const SEQUENTIAL_COLORS = [
+  "#e0e7ff",
+  "#a5b4fc",
+  "#818cf8",
+  "#6366f1",
+  "#4338ca",
+  "#312e81",
+];
+
+// Class boundaries (length n - 1) splitting sorted values into n equal-count groups
+export function quantileBreaks(values, n) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  const breaks = [];
+  for (let i = 1; i < n; i++) {
+    breaks.push(sorted[Math.floor((i * sorted.length) / n)]);
+  }
+  return breaks;
+}
+
+// Class boundaries (length n - 1) splitting [min, max] into n equal intervals
+export function linearBreaks(values, n) {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return [];
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const step = (max - min) / n;
+  return Array.from({ length: n - 1 }, (_, i) => min + step * (i + 1));
+}
+
+// Index of the class `value` falls into, given ascending breaks
+export function classify(value, breaks) {
+  let i = 0;
+  while (i < breaks.length && value >= breaks[i]) i++;
+  return i;
+}
+
+// Legend rows: [{ color, from, to }] where from/to are null at the open ends
+export function legendClasses(breaks, colors) {
+  return colors.slice(0, breaks.length + 1).map((color, i) => ({
+    color,
+    from: i === 0 ? null : breaks[i - 1],
+    to: i === breaks.length ? null : breaks[i],
+  }));
+}
@@ -0,0 +1,18 @@
+// Helpers for [{ year, value }] series.
+
+// Keeps points inside the (inclusive) year window; null bounds are open
+export function clipSeries(points, { startYear, endYear } = {}) {
+  if (!startYear && !endYear) return points;
+  return points.filter(
+    (p) => (!startYear || p.year >= startYear) && (!endYear || p.year <= endYear)
+  );
+}
+
+// Sorted, de-duplicated years across several series
+export function unionYears(seriesList) {
+  const years = new Set();
+  for (const points of seriesList) {
+    for (const p of points) years.add(p.year);
+  }
+  return Array.from(years).sort((a, b) => a - b);
+}
@@ -0,0 +1,200 @@
+// Trend statistics and projections for [{ year, value }] series (sorted by year).
+
+const Z_95 = 1.959964;
+
+// Compound annual growth rate between the first and last points, as a
+// fraction (0.012 = 1.2% a year). Undefined for non-positive endpoints.
+export function cagr(points) {
+  if (points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  const years = last.year - first.year;
+  if (years <= 0 || first.value <= 0 || last.value <= 0) return null;
+  return Math.pow(last.value / first.value, 1 / years) - 1;
+}
+
+// Ordinary least squares fit of y on x for [{ x, y }]
+export function linearRegression(pairs) {
+  const n = pairs.length;
+  if (n < 2) return null;
+
+  const meanX = pairs.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = pairs.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const p of pairs) {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+    syy += (p.y - meanY) ** 2;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const sse = Math.max(0, syy - slope * sxy);
+  return {
+    slope,
+    intercept,
+    r2: syy === 0 ? 1 : 1 - sse / syy,
+    // Residual standard error, used for prediction intervals
+    stdError: n > 2 ? Math.sqrt(sse / (n - 2)) : 0,
+    n,
+    meanX,
+    sxx,
+    predict: (x) => intercept + slope * x,
+  };
+}
+
+// Least squares fit of value on year for a series
+export function linearTrend(points) {
+  return linearRegression(points.map((p) => ({ x: p.year, y: p.value })));
+}
+
+// LOESS smoothing: a tricube-weighted linear fit around each year, using the
+// nearest `span` share of points
+export function loess(points, { span = 0.3 } = {}) {
+  const n = points.length;
+  if (n < 3) return points.map((p) => ({ year: p.year, value: p.value }));
+  const k = Math.min(n, Math.max(3, Math.ceil(span * n)));
+
+  return points.map(({ year }) => {
+    const nearest = points
+      .map((p) => ({ p, d: Math.abs(p.year - year) }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, k);
+    // Scale slightly past the furthest neighbour so it keeps a small weight
+    const maxD = (nearest[nearest.length - 1].d || 1) * 1.0001;
+    const weighted = nearest.map(({ p, d }) => ({
+      p,
+      w: (1 - (d / maxD) ** 3) ** 3,
+    }));
+
+    let sw = 0;
+    let sx = 0;
+    let sy = 0;
+    for (const { p, w } of weighted) {
+      sw += w;
+      sx += w * p.year;
+      sy += w * p.value;
+    }
+    const mx = sx / sw;
+    const my = sy / sw;
+    let sxx = 0;
+    let sxy = 0;
+    for (const { p, w } of weighted) {
+      sxx += w * (p.year - mx) ** 2;
+      sxy += w * (p.year - mx) * (p.value - my);
+    }
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    return { year, value: my + slope * (year - mx) };
+  });
+}
+
+// [{ year, change, pctChange }] between consecutive reported years
+export function yearOverYear(points) {
+  const out = [];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const cur = points[i];
+    out.push({
+      year: cur.year,
+      change: cur.value - prev.value,
+      pctChange: prev.value !== 0 ? (cur.value - prev.value) / prev.value : null,
+    });
+  }
+  return out;
+}
+
+// Change within each calendar decade (first to last reported year in it),
+// for decades with at least two reported years
+export function decadeChanges(points) {
+  const byDecade = new Map();
+  for (const p of points) {
+    const decade = Math.floor(p.year / 10) * 10;
+    if (!byDecade.has(decade)) byDecade.set(decade, []);
+    byDecade.get(decade).push(p);
+  }
+
+  const out = [];
+  for (const [decade, list] of byDecade) {
+    if (list.length < 2) continue;
+    out.push({
+      decade,
+      fromYear: list[0].year,
+      toYear: list[list.length - 1].year,
+      change: list[list.length - 1].value - list[0].value,
+    });
+  }
+  return out;
+}
+
+// Best and worst decades by change, given which direction is an improvement
+export function bestAndWorstDecades(points, { higherIsBetter = true } = {}) {
+  const decades = decadeChanges(points);
+  if (decades.length < 2) return { best: null, worst: null };
+  const sorted = [...decades].sort((a, b) =>
+    higherIsBetter ? b.change - a.change : a.change - b.change
+  );
+  return { best: sorted[0], worst: sorted[sorted.length - 1] };
+}
+
+// Student's t critical value for a two-sided 95% interval (Cornish-Fisher
+// expansion around the normal quantile; accurate to ~0.01 for df >= 3)
+function tCritical95(df) {
+  if (df <= 0) return Z_95;
+  const z = Z_95;
+  return (
+    z +
+    (z ** 3 + z) / (4 * df) +
+    (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2)
+  );
+}
+
+// Linear projection of the next `horizon` years, fitted on the last
+// `fitYears` reported points, with a 95% prediction interval.
+// Returns [{ year, value, lower, upper }]. Series that never go negative
+// keep their projection and band at or above zero.
+export function projectLinear(points, { horizon = 5, fitYears = 15 } = {}) {
+  const recent = points.slice(-fitYears);
+  const fit = linearTrend(recent);
+  if (!fit || fit.n < 3) return [];
+
+  const floor = points.every((p) => p.value >= 0) ? 0 : -Infinity;
+  const t = tCritical95(fit.n - 2);
+  const lastYear = points[points.length - 1].year;
+
+  return Array.from({ length: horizon }, (_, i) => {
+    const year = lastYear + i + 1;
+    const value = fit.predict(year);
+    const margin =
+      t *
+      fit.stdError *
+      Math.sqrt(1 + 1 / fit.n + (year - fit.meanX) ** 2 / fit.sxx);
+    return {
+      year,
+      value: Math.max(floor, value),
+      lower: Math.max(floor, value - margin),
+      upper: Math.max(floor, value + margin),
+    };
+  });
+}
+
+// Everything the statistics panel shows for one series
+export function summarizeSeries(points, { higherIsBetter = true } = {}) {
+  const yoy = yearOverYear(points);
+  const trend = linearTrend(points);
+  const { best, worst } = bestAndWorstDecades(points, { higherIsBetter });
+
+  return {
+    cagr: cagr(points),
+    trendSlope: trend?.slope ?? null,
+    trendR2: trend?.r2 ?? null,
+    averageYoY: yoy.length
+      ? yoy.reduce((sum, d) => sum + d.change, 0) / yoy.length
+      : null,
+    latestYoY: yoy.length ? yoy[yoy.length - 1] : null,
+    bestDecade: best,
+    worstDecade: worst,
+  };
+}
@@ -0,0 +1,29 @@
+// JSON values persisted to localStorage, and ids for the records in them.
+
+// Parsed value stored under `key`, or `fallback` when there is none or it
+// can't be read (bad JSON, storage disabled)
+export function readJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.error(err);
+    return fallback;
+  }
+}
+
+// Returns false when storage is full or unavailable
+export function writeJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+// Short id, unique enough for records stored on one device
+export function createId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
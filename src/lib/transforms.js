@@ -0,0 +1,85 @@
+// Chart value transforms for [{ year, value }] series: nominal US$ to
+// constant dollars, and rescaling to an index or year-on-year change.
+
+// Labels are the "transform.<id>" and "dollars.<id>" messages
+export const VALUE_TRANSFORMS = ["values", "index", "change"];
+
+// Currency indicators only; PPP needs an indicator with a `pppId`
+export const DOLLAR_MODES = ["nominal", "constant", "ppp"];
+
+// Current-US$ series are deflated with the US GDP deflator
+export const DEFLATOR_COUNTRY = "USA";
+export const DEFLATOR_ID = "NY.GDP.DEFL.ZS";
+
+// Re-expresses values in dollars of the deflator's latest year. Years the
+// deflator doesn't cover are dropped. Returns { points, baseYear }.
+export function deflate(points, deflator) {
+  if (deflator.length === 0) return { points: [], baseYear: null };
+  const base = deflator[deflator.length - 1];
+  const byYear = new Map(deflator.map((d) => [d.year, d.value]));
+  return {
+    points: points
+      .filter((p) => byYear.get(p.year) > 0)
+      .map((p) => ({
+        year: p.year,
+        value: (p.value * base.value) / byYear.get(p.year),
+      })),
+    baseYear: base.year,
+  };
+}
+
+// Values as a percentage of the base year's value; empty when the series
+// has no usable value that year
+export function indexToBase(points, baseYear) {
+  const base = points.find((p) => p.year === baseYear);
+  if (!base || base.value === 0) return [];
+  return points.map((p) => ({ year: p.year, value: (p.value / base.value) * 100 }));
+}
+
+// Percent change from the previous year, only where both years are reported
+export function percentChange(points) {
+  const out = [];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const cur = points[i];
+    if (cur.year - prev.year !== 1 || prev.value === 0) continue;
+    out.push({
+      year: cur.year,
+      value: ((cur.value - prev.value) / Math.abs(prev.value)) * 100,
+    });
+  }
+  return out;
+}
+
+// First year every series reports (within their given points), or null
+export function firstSharedYear(seriesList) {
+  const nonEmpty = seriesList.filter((points) => points.length > 0);
+  if (nonEmpty.length === 0) return null;
+  const [first, ...rest] = nonEmpty;
+  const others = rest.map((points) => new Set(points.map((p) => p.year)));
+  const shared = first.find((p) => others.every((years) => years.has(p.year)));
+  return shared?.year ?? null;
+}
+
+// Short descriptions of the active transforms, e.g. ["constant 2022 US$",
+// "index, 2000 = 100"], for captions and export headers. `t` translates
+// message keys (see lib/i18n).
+export function describeTransform(
+  { dollarMode, deflatorBaseYear, transform, baseYear },
+  t
+) {
+  const parts = [];
+  if (dollarMode === "constant" && deflatorBaseYear) {
+    parts.push(t("dollars.constantBase", { year: deflatorBaseYear }));
+  }
+  if (dollarMode === "ppp") parts.push(t("dollars.pppDescription"));
+  if (transform === "index") {
+    parts.push(
+      baseYear
+        ? t("transform.indexBase", { year: baseYear })
+        : t("transform.indexFirstYear")
+    );
+  }
+  if (transform === "change") parts.push(t("transform.change"));
+  return parts;
+}
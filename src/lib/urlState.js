@@ -0,0 +1,134 @@
+// Dashboard state <-> URL query string, for shareable deep links.
+//
+//   ?country=KEN&compare=UGA,TZA&metric=UNDER5_MORTALITY&from=2000&to=2020&view=map
+//
+// Chart notes are repeated `note` parameters, `CODE~METRIC~YEAR~text`:
+//
+//   &note=KEN~UNDER5_MORTALITY~2008~Vaccine rollout
+//
+// Unknown parameters (e.g. `provider`) are left untouched. Anything invalid
+// falls back to the defaults instead of throwing.
+
+import { MAX_NOTE_LENGTH } from "./annotations";
+
+export const DEFAULT_VIEW = {
+  country: "GLOBAL",
+  compareEnabled: false,
+  compareCountries: ["USA"],
+  metric: "LIFE_EXPECTANCY",
+  startYear: null,
+  endYear: null,
+  view: "trends",
+  notes: [],
+};
+
+// Tabs below the metric cards, in order; labels are the "tabs.<view>" messages
+export const VIEWS = ["trends", "overview", "map", "rankings", "scatter"];
+
+const MANAGED_PARAMS = [
+  "country",
+  "compare",
+  "metric",
+  "from",
+  "to",
+  "view",
+  "note",
+];
+const COUNTRY_CODE = /^[A-Z0-9]{2,3}$/;
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+function parseCountry(value) {
+  const code = (value || "").trim().toUpperCase();
+  return COUNTRY_CODE.test(code) || code === "GLOBAL" ? code : null;
+}
+
+function parseYear(value) {
+  if (!value || !/^\d{4}$/.test(value)) return null;
+  const year = Number(value);
+  return year >= MIN_YEAR && year <= MAX_YEAR ? year : null;
+}
+
+// { country, metric, year, text }, or null. The text is everything after
+// the third "~", so it may contain "~" itself.
+function parseNote(value) {
+  const [code, metric, yearText, ...rest] = value.split("~");
+  const country = parseCountry(code);
+  const year = parseYear(yearText);
+  const text = rest.join("~").trim().slice(0, MAX_NOTE_LENGTH);
+  if (!country || country === "GLOBAL" || !metric || !year || !text) {
+    return null;
+  }
+  return { country, metric, year, text };
+}
+
+export function parseViewFromSearch(search, { metricKeys = [] } = {}) {
+  const params = new URLSearchParams(search);
+  const view = { ...DEFAULT_VIEW };
+
+  const country = parseCountry(params.get("country"));
+  if (country) view.country = country;
+
+  if (params.has("compare")) {
+    const codes = params
+      .get("compare")
+      .split(",")
+      .map(parseCountry)
+      .filter((c) => c && c !== "GLOBAL");
+    const unique = Array.from(new Set(codes));
+    view.compareEnabled = true;
+    if (unique.length) view.compareCountries = unique;
+  }
+
+  const metric = params.get("metric");
+  if (metric && metricKeys.includes(metric)) view.metric = metric;
+
+  let startYear = parseYear(params.get("from"));
+  let endYear = parseYear(params.get("to"));
+  if (startYear && endYear && startYear > endYear) {
+    [startYear, endYear] = [endYear, startYear];
+  }
+  view.startYear = startYear;
+  view.endYear = endYear;
+
+  const tab = params.get("view");
+  if (tab && VIEWS.includes(tab)) view.view = tab;
+
+  view.notes = params.getAll("note").map(parseNote).filter(Boolean);
+
+  return view;
+}
+
+// Returns a "?..." string (or "") for `view`, keeping unrelated params
+export function viewToSearch(view, currentSearch = "") {
+  const params = new URLSearchParams(currentSearch);
+  for (const name of MANAGED_PARAMS) params.delete(name);
+
+  if (view.country && view.country !== DEFAULT_VIEW.country) {
+    params.set("country", view.country);
+  }
+  if (view.compareEnabled && view.compareCountries.length) {
+    params.set("compare", view.compareCountries.join(","));
+  }
+  if (view.metric && view.metric !== DEFAULT_VIEW.metric) {
+    params.set("metric", view.metric);
+  }
+  if (view.startYear) params.set("from", String(view.startYear));
+  if (view.endYear) params.set("to", String(view.endYear));
+  if (view.view && view.view !== DEFAULT_VIEW.view) {
+    params.set("view", view.view);
+  }
+  for (const note of view.notes ?? []) {
+    params.append(
+      "note",
+      `${note.country}~${note.metric}~${note.year}~${note.text}`
+    );
+  }
+
+  // Keep commas and note separators readable in shared links
+  const query = params
+    .toString()
+    .replaceAll("%2C", ",")
+    .replaceAll("%7E", "~");
+  return query ? `?${query}` : "";
+}
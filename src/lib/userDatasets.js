@@ -0,0 +1,137 @@
+// User-imported datasets (CSV or JSON files with year/value columns) that
+// overlay the trend chart. Imports are persisted to localStorage.
+
+import { parseCsv } from "./csv";
+import { TranslatableError } from "./i18n";
+import { readJson, writeJson } from "./storage";
+
+const STORAGE_KEY = "lifelens:user-datasets";
+export const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const MIN_YEAR = 1800;
+const MAX_YEAR = 2100;
+
+// Stored dataset: { id, name, fileName, indicatorKey, importedAt, visible,
+// points: [{ year, value }] }
+export function loadUserDatasets() {
+  const parsed = readJson(STORAGE_KEY, []);
+  return Array.isArray(parsed)
+    ? parsed.filter((d) => d?.id && Array.isArray(d.points))
+    : [];
+}
+
+// Returns false when storage is full or unavailable
+export function saveUserDatasets(list) {
+  return writeJson(STORAGE_KEY, list);
+}
+
+// Our own CSV exports start with a metadata block and a blank line; keep
+// only the table after it so exported files can be imported again
+function stripMetadataBlock(text) {
+  if (!/^Source,/.test(text)) return text;
+  const match = /\r?\n\r?\n/.exec(text);
+  return match ? text.slice(match.index + match[0].length) : text;
+}
+
+// File contents -> { columns, records } where records are objects keyed by
+// column. Throws a TranslatableError for unusable files.
+export function parseDatasetFile(text, fileName) {
+  if (/\.json$/i.test(fileName)) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw new TranslatableError("file.invalidJson");
+    }
+    const records = Array.isArray(json) ? json : json?.data;
+    const valid =
+      Array.isArray(records) &&
+      records.every((r) => r && typeof r === "object");
+    if (!valid) {
+      throw new TranslatableError("import.jsonShape");
+    }
+    const columns = Array.from(new Set(records.flatMap((r) => Object.keys(r))));
+    return { columns, records };
+  }
+
+  const [header = [], ...rows] = parseCsv(stripMetadataBlock(text));
+  const columns = header.map((h) => h.trim());
+  if (columns.length < 2) {
+    throw new TranslatableError("import.csvHeader");
+  }
+  const records = rows.map((r) =>
+    Object.fromEntries(columns.map((col, i) => [col, r[i] ?? ""]))
+  );
+  return { columns, records };
+}
+
+// Best guess at { year, value } column names
+export function guessColumnMapping(columns) {
+  const year =
+    columns.find((c) => /^(year|date|period|time)$/i.test(c)) ??
+    columns.find((c) => /year|date|period/i.test(c)) ??
+    columns[0];
+  const rest = columns.filter((c) => c !== year);
+  const value =
+    rest.find((c) => /^value$/i.test(c)) ??
+    rest.find((c) => /value|rate|amount|estimate/i.test(c)) ??
+    rest[rest.length - 1];
+  return { year, value };
+}
+
+function toNumber(raw) {
+  if (typeof raw === "number") return raw;
+  const s = String(raw ?? "").trim();
+  if (s === "") return null;
+  return Number(s);
+}
+
+// Checks every record against the mapping. Returns sorted points and
+// [{ row, key, params }] for rejected records, where `key` and `params` name
+// the message (rows are 1-based data rows).
+export function validateRecords(records, mapping) {
+  const points = [];
+  const errors = [];
+  const seen = new Map();
+
+  records.forEach((record, i) => {
+    const row = i + 1;
+    const year = toNumber(record[mapping.year]);
+    const value = toNumber(record[mapping.value]);
+
+    if (year === null) {
+      errors.push({ row, key: "import.missingYear" });
+    } else if (!Number.isInteger(year)) {
+      errors.push({
+        row,
+        key: "import.yearNotInteger",
+        params: { raw: record[mapping.year] },
+      });
+    } else if (year < MIN_YEAR || year > MAX_YEAR) {
+      errors.push({
+        row,
+        key: "import.yearOutOfRange",
+        params: { year, min: MIN_YEAR, max: MAX_YEAR },
+      });
+    } else if (value === null) {
+      errors.push({ row, key: "import.missingValue" });
+    } else if (!Number.isFinite(value)) {
+      errors.push({
+        row,
+        key: "import.valueNotNumber",
+        params: { raw: record[mapping.value] },
+      });
+    } else if (seen.has(year)) {
+      errors.push({
+        row,
+        key: "import.duplicateYear",
+        params: { year, first: seen.get(year) },
+      });
+    } else {
+      seen.set(year, row);
+      points.push({ year, value });
+    }
+  });
+
+  points.sort((a, b) => a.year - b.year);
+  return { points, errors };
+}
@@ -0,0 +1,90 @@
+// Offline provider backed by JSON/CSV fixtures bundled with the app.
+// Used for demos, offline work and automated tests.
+
+import countries from "../fixtures/countries.json";
+import indicators from "../fixtures/indicators.json";
+import seriesCsv from "../fixtures/series.csv?raw";
+import { parseCsvObjects } from "../lib/csv";
+
+// Map("COUNTRY|INDICATOR" -> [{ year, value }]), built on first use
+let seriesIndex = null;
+
+function getSeriesIndex() {
+  if (seriesIndex) return seriesIndex;
+
+  seriesIndex = new Map();
+  for (const row of parseCsvObjects(seriesCsv)) {
+    if (row.value === "") continue;
+    const key = `${row.country}|${row.indicator}`;
+    if (!seriesIndex.has(key)) seriesIndex.set(key, []);
+    seriesIndex.get(key).push({
+      year: Number(row.year),
+      value: Number(row.value),
+    });
+  }
+  for (const series of seriesIndex.values()) {
+    series.sort((a, b) => a.year - b.year);
+  }
+  return seriesIndex;
+}
+
+async function listCountries({ signal } = {}) {
+  signal?.throwIfAborted();
+  return countries;
+}
+
+async function fetchSeries(countryCode, indicatorId, { signal } = {}) {
+  signal?.throwIfAborted();
+  const series = getSeriesIndex().get(`${countryCode}|${indicatorId}`);
+  return series ? series.map((p) => ({ ...p })) : [];
+}
+
+async function fetchSeriesForAllCountries(indicatorId, { signal, year } = {}) {
+  signal?.throwIfAborted();
+  const byCountry = {};
+  for (const [key, series] of getSeriesIndex()) {
+    const [country, indicator] = key.split("|");
+    if (indicator !== indicatorId) continue;
+    const points = series.filter((p) => !year || p.year === year);
+    if (points.length) byCountry[country] = points.map((p) => ({ ...p }));
+  }
+  return byCountry;
+}
+
+async function fetchIndicatorMetadata(indicatorId, { signal } = {}) {
+  signal?.throwIfAborted();
+  const found = indicators.find((i) => i.id === indicatorId);
+  if (!found) throw new Error(`Unknown indicator ${indicatorId}`);
+  return found;
+}
+
+async function listTopics({ signal } = {}) {
+  signal?.throwIfAborted();
+  const topics = new Map();
+  for (const indicator of indicators) {
+    for (const topic of indicator.topics) topics.set(topic.id, topic);
+  }
+  return Array.from(topics.values());
+}
+
+async function listIndicators({ topicId, signal } = {}) {
+  signal?.throwIfAborted();
+  if (!topicId) return indicators;
+  return indicators.filter((i) => i.topics.some((t) => t.id === topicId));
+}
+
+export const fixtureProvider = {
+  id: "fixture",
+  label: "Bundled sample data",
+  // Fixture names are English only
+  languages: ["en"],
+  citation:
+    "LifeLens sample data, derived from World Bank World Development Indicators",
+  indicatorUrl: () => null,
+  listCountries,
+  fetchSeries,
+  fetchSeriesForAllCountries,
+  fetchIndicatorMetadata,
+  listTopics,
+  listIndicators,
+};
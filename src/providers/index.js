@@ -0,0 +1,46 @@
+// Data-provider registry.
+//
+// A provider is an object with:
+//   id, label
+//   languages                                   -> languages names come in
+//   citation                                    -> publisher/dataset for export citations
+//   indicatorUrl(indicatorId)                   -> documentation URL, or null
+//   listCountries(opts)                         -> [{ id, iso2Code, name, capitalCity, region, incomeLevel, ... }]
+//   fetchSeries(countryCode, indicatorId, opts) -> [{ year, value }] sorted by year
+//   fetchSeriesForAllCountries(indicatorId, opts) -> { ISO3: [{ year, value }] }
+//                                                  (opts.year limits to one year)
+//   fetchIndicatorMetadata(indicatorId, opts)   -> { id, name, unit, sourceNote, source, topics }
+//   listTopics(opts)                            -> [{ id, value }]
+//   listIndicators({ topicId, signal, language }) -> [indicator metadata]
+//
+// `opts` is `{ signal }`; providers should stop work when the signal aborts.
+// listCountries, fetchIndicatorMetadata, listTopics and listIndicators also
+// take `language` for translated names; languages not in `languages` get
+// the provider's default.
+//
+// The active provider comes from the `?provider=` URL parameter, then the
+// VITE_DATA_PROVIDER build variable, and defaults to the World Bank.
+
+import { fixtureProvider } from "./fixture";
+import { worldBankProvider } from "./worldBank";
+
+export const PROVIDERS = {
+  [worldBankProvider.id]: worldBankProvider,
+  [fixtureProvider.id]: fixtureProvider,
+};
+
+const DEFAULT_PROVIDER_ID = worldBankProvider.id;
+
+export function resolveProviderId() {
+  const fromUrl = new URLSearchParams(window.location.search).get("provider");
+  if (fromUrl && PROVIDERS[fromUrl]) return fromUrl;
+
+  const fromEnv = import.meta.env.VITE_DATA_PROVIDER;
+  if (fromEnv && PROVIDERS[fromEnv]) return fromEnv;
+
+  return DEFAULT_PROVIDER_ID;
+}
+
+export function getProvider(id = resolveProviderId()) {
+  return PROVIDERS[id] ?? PROVIDERS[DEFAULT_PROVIDER_ID];
+}
@@ -0,0 +1,140 @@
+// World Bank Open Data API provider.
+// https://datahelpdesk.worldbank.org/knowledgebase/articles/889392
+
+import { fetchJson } from "../lib/request";
+
+const BASE_URL = "https://api.worldbank.org/v2";
+const PER_PAGE = 1000;
+// The all-countries endpoint returns ~17k rows per indicator; fewer, larger
+// pages beat many round trips
+const ALL_COUNTRIES_PER_PAGE = 20000;
+
+// Names come translated from a language prefix, e.g. /fr/country
+const LANGUAGES = ["en", "fr", "es"];
+
+function localized(path, language) {
+  return language !== "en" && LANGUAGES.includes(language)
+    ? `/${language}${path}`
+    : path;
+}
+
+// The API answers some errors with HTTP 200 and a `message` block
+function unwrap(data, url) {
+  const meta = data?.[0];
+  if (meta?.message) {
+    const detail = meta.message.map((m) => m.value).join("; ");
+    throw new Error(`World Bank API error: ${detail} (${url})`);
+  }
+  return { meta: meta || {}, rows: data?.[1] || [] };
+}
+
+// Fetches every page of a list endpoint and concatenates the rows
+async function getAllPages(path, { signal, perPage = PER_PAGE } = {}) {
+  const sep = path.includes("?") ? "&" : "?";
+  const urlFor = (page) =>
+    `${BASE_URL}${path}${sep}format=json&per_page=${perPage}&page=${page}`;
+
+  const first = unwrap(await fetchJson(urlFor(1), { signal }), urlFor(1));
+  const pages = Number(first.meta.pages) || 1;
+  if (pages <= 1) return first.rows;
+
+  const rest = await Promise.all(
+    Array.from({ length: pages - 1 }, async (_, i) => {
+      const url = urlFor(i + 2);
+      return unwrap(await fetchJson(url, { signal }), url).rows;
+    })
+  );
+  return first.rows.concat(...rest);
+}
+
+async function listCountries({ signal, language } = {}) {
+  return getAllPages(localized("/country", language), { signal });
+}
+
+async function fetchSeries(countryCode, indicatorId, { signal } = {}) {
+  const raw = await getAllPages(
+    `/country/${countryCode}/indicator/${indicatorId}`,
+    { signal }
+  );
+
+  return raw
+    .filter((entry) => entry.value !== null)
+    .map((entry) => ({
+      year: Number(entry.date),
+      value: Number(entry.value),
+    }))
+    .sort((a, b) => a.year - b.year);
+}
+
+// { ISO3: [{ year, value }] } for every country and aggregate, optionally
+// limited to a single year
+async function fetchSeriesForAllCountries(indicatorId, { signal, year } = {}) {
+  const query = year ? `?date=${year}` : "";
+  const raw = await getAllPages(`/country/all/indicator/${indicatorId}${query}`, {
+    signal,
+    perPage: ALL_COUNTRIES_PER_PAGE,
+  });
+
+  const byCountry = {};
+  for (const entry of raw) {
+    const code = entry.countryiso3code;
+    if (!code || entry.value === null) continue;
+    (byCountry[code] ??= []).push({
+      year: Number(entry.date),
+      value: Number(entry.value),
+    });
+  }
+  for (const series of Object.values(byCountry)) {
+    series.sort((a, b) => a.year - b.year);
+  }
+  return byCountry;
+}
+
+function toIndicatorMetadata(raw) {
+  return {
+    id: raw.id,
+    name: raw.name,
+    unit: raw.unit || "",
+    sourceNote: raw.sourceNote || "",
+    source: raw.source?.value || "World Bank",
+    topics: (raw.topics || [])
+      .filter((t) => t.id)
+      .map((t) => ({ id: t.id, value: (t.value || "").trim() })),
+  };
+}
+
+async function fetchIndicatorMetadata(indicatorId, { signal, language } = {}) {
+  const path = localized(`/indicator/${indicatorId}`, language);
+  const url = `${BASE_URL}${path}?format=json`;
+  const { rows } = unwrap(await fetchJson(url, { signal }), url);
+  const raw = rows[0];
+  if (!raw) throw new Error(`Unknown indicator ${indicatorId}`);
+
+  return toIndicatorMetadata(raw);
+}
+
+async function listTopics({ signal, language } = {}) {
+  const rows = await getAllPages(localized("/topic", language), { signal });
+  return rows.map((t) => ({ id: t.id, value: (t.value || "").trim() }));
+}
+
+async function listIndicators({ topicId, signal, language } = {}) {
+  const path = topicId ? `/topic/${topicId}/indicator` : "/indicator";
+  const rows = await getAllPages(localized(path, language), { signal });
+  return rows.map(toIndicatorMetadata);
+}
+
+export const worldBankProvider = {
+  id: "worldbank",
+  label: "World Bank Open Data",
+  languages: LANGUAGES,
+  citation: "World Bank, World Development Indicators",
+  indicatorUrl: (indicatorId) =>
+    `https://data.worldbank.org/indicator/${indicatorId}`,
+  listCountries,
+  fetchSeries,
+  fetchSeriesForAllCountries,
+  fetchIndicatorMetadata,
+  listTopics,
+  listIndicators,
+};